@@ -0,0 +1,186 @@
+/*
+  Aggregate screen
+  - Collects participants from exported JSON files, share links and your own saved list
+  - Runs the selected method from rank-aggregate.js and shows the consensus ranking, a consensus
+    tier board, each participant's agreement with the consensus and the most contested items
+  - Consensus tiers: each item goes to the median of the tiers participants put it in, matched to your
+    tier schema by name (or by relative position when the names differ); when nobody made tiers, the
+    consensus ranking is cut with the default proportions
+  - Participants live only on this screen; nothing here changes your saved list
+*/
+
+let aggregateBallots = []; // [{ name, groups, tiers: Map(id -> { name, index, count }) }]
+let aggregateDatasetId = null; // dataset the participants were added under
+
+// --- Participants -----------------------------------------------------------------
+// Exports, share payloads and the local state all come down to ranking + ties + schema + tiers
+function ballotFromPayload(name, payload) {
+  const known = new Set(state.data.map(p => p.id));
+  const ranking = (payload.ranking || []).filter(id => known.has(id));
+  const schema = normalizeTierSchema(payload.tierSchema);
+  const tiers = reconcileTiers(payload.tiers || {}, schema);
+  let groups = [];
+  if (ranking.length) {
+    const ranks = resultRanks(ranking.map(id => ({ id })), payload.ties || {});
+    ranking.forEach((id, i) => {
+      if (i > 0 && ranks[i] === ranks[i - 1]) groups[groups.length - 1].push(id);
+      else groups.push([id]);
+    });
+  } else {
+    // tiers only: each tier is one tie group
+    groups = schema.map(t => tiers[t.id].filter(id => known.has(id))).filter(g => g.length);
+  }
+  const placed = new Map();
+  schema.forEach((t, index) => tiers[t.id].forEach(id => placed.set(id, { name: t.name, index, count: schema.length })));
+  return { name, groups, tiers: placed };
+}
+
+function addBallot(ballot) {
+  if (!ballot.groups.length) { toast(`${ballot.name}: nothing ranked or placed in tiers`, { error: true }); return; }
+  aggregateBallots.push(ballot);
+  renderAggregate();
+}
+
+async function addAggregateFiles(files) {
+  for (const file of Array.from(files)) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (!data || (!Array.isArray(data.ranking) && !data.tiers)) throw new Error('Not a tier list export');
+      if (data.dataset && data.dataset !== getActiveDataset().id) toast(`${file.name} was made with another list; unknown items are ignored`);
+      addBallot(ballotFromPayload(file.name.replace(/\.json$/i, ''), data));
+    } catch (e) {
+      console.warn('addAggregateFiles', file.name, e);
+      toast(`${file.name}: could not read it`, { error: true });
+    }
+  }
+}
+
+async function addAggregateLinks(text) {
+  const links = String(text || '').split(/\s+/).filter(Boolean);
+  let added = 0;
+  for (const link of links) {
+    const hash = link.slice(Math.max(0, link.indexOf('#')));
+    try {
+      const payload = await decodeShareHash(hash);
+      if (!payload) throw new Error('Not a share link');
+      addBallot(ballotFromPayload((payload.title || '').trim() || `Link ${aggregateBallots.length + 1}`, payload));
+      added++;
+    } catch (e) {
+      console.warn('addAggregateLinks', e);
+      toast(`Skipped a link: ${e.message}`, { error: true });
+    }
+  }
+  return added;
+}
+
+function addOwnBallot() {
+  addBallot(ballotFromPayload(`${activeProfile().name} (you)`, {
+    ranking: (state.sorter.result || []).map(p => p.id),
+    ties: isRatingMode() ? {} : state.sorter.ties,
+    tierSchema: state.tierSchema,
+    tiers: state.tiers,
+  }));
+}
+
+// --- Consensus tiers ------------------------------------------------------------------
+function consensusTiers(order) {
+  const schema = state.tierSchema;
+  const k = schema.length;
+  const tiers = emptyTiers(schema);
+  const anyTiers = aggregateBallots.some(b => b.tiers.size);
+  if (!anyTiers) {
+    const counts = proportionalCounts(order.map(() => 1), defaultTierProportions(k));
+    let at = 0;
+    schema.forEach((t, i) => { tiers[t.id] = order.slice(at, at + counts[i]); at += counts[i]; });
+    return tiers;
+  }
+  order.forEach(id => {
+    const votes = aggregateBallots.map(b => b.tiers.get(id)).filter(Boolean)
+      .map(p => matchTierIndex(p.name, p.index, p.count, schema)).sort((a, b) => a - b);
+    const tier = votes.length ? schema[votes[Math.floor((votes.length - 1) / 2)]].id : UNPLACED_TIER;
+    tiers[tier].push(id);
+  });
+  return tiers;
+}
+
+// --- Rendering --------------------------------------------------------------------------
+function renderAggregateParticipants() {
+  const list = $('#aggregate-participants');
+  list.innerHTML = '';
+  aggregateBallots.forEach((b, i) => {
+    const li = document.createElement('li');
+    const ranked = b.groups.reduce((n, g) => n + g.length, 0);
+    li.textContent = `${b.name} — ${ranked} ranked${b.tiers.size ? `, ${b.tiers.size} in tiers` : ''} `;
+    const remove = document.createElement('button');
+    remove.type = 'button'; remove.className = 'btn btn-small'; remove.textContent = '✕';
+    remove.setAttribute('aria-label', `Remove ${b.name}`);
+    remove.onclick = () => { aggregateBallots.splice(i, 1); renderAggregate(); };
+    li.appendChild(remove);
+    list.appendChild(li);
+  });
+}
+
+function renderAggregate() {
+  renderAggregateParticipants();
+  const status = $('#aggregate-status');
+  const results = $('#aggregate-results');
+  if (aggregateBallots.length < 2) {
+    status.textContent = aggregateBallots.length ? 'Add at least one more participant.' : 'Add two or more participants to build a consensus.';
+    results.hidden = true;
+    return;
+  }
+  const ids = state.data.map(p => p.id);
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const res = aggregateRankings(aggregateBallots, ids, $('#aggregate-method').value);
+  status.textContent = `${res.method.label} over ${aggregateBallots.length} participants.${res.note ? ` ${res.note}.` : ''}`;
+
+  const ol = $('#aggregate-ranking');
+  ol.innerHTML = '';
+  res.order.forEach((id, i) => {
+    const li = document.createElement('li');
+    const num = document.createElement('span'); num.className = 'rankno'; num.textContent = `${i + 1}.`;
+    const name = document.createElement('span'); name.textContent = ' ' + itemTitle(idMap.get(id));
+    li.append(num, name);
+    if (res.score[id]) {
+      const score = document.createElement('span'); score.className = 'elo-final'; score.textContent = ` ${res.score[id]}`;
+      li.appendChild(score);
+    }
+    ol.appendChild(li);
+  });
+
+  renderReadOnlyTiers($('#aggregate-tiers'), state.tierSchema, consensusTiers(res.order));
+
+  const deviation = aggregateBallots.map((b, i) => ({ b, ...ballotAgreement(res.rankMaps[i], res.order) }))
+    .sort((a, b) => a.agreement - b.agreement);
+  fillTable($('#aggregate-deviation'), ['Participant', 'Agreement', 'Avg. rank shift'],
+    deviation.map(d => [d.b.name, `${Math.round(d.agreement * 100)}%`, d.meanShift.toFixed(1)]));
+
+  const contested = contestedItems(res.rankMaps, ids);
+  fillTable($('#aggregate-contested'), ['Item', 'Spread (SD)', 'Best', 'Worst'],
+    contested.map(c => [itemTitle(idMap.get(c.id)), c.sd.toFixed(1), c.best, c.worst]));
+  $('#aggregate-contested-section').hidden = !contested.length;
+  results.hidden = false;
+}
+
+function showAggregate() {
+  if (aggregateDatasetId !== getActiveDataset().id) { aggregateBallots = []; aggregateDatasetId = getActiveDataset().id; }
+  $('#aggregate-list-name').textContent = getActiveDataset().title;
+  renderAggregate();
+  showScreen('screen-aggregate');
+}
+
+function initAggregate() {
+  const select = $('#aggregate-method');
+  AGGREGATE_METHODS.forEach(m => select.appendChild(new Option(m.label, m.id)));
+  select.onchange = renderAggregate;
+  $('#aggregate-files').onchange = async (e) => { await addAggregateFiles(e.target.files || []); e.target.value = ''; };
+  $('#btn-aggregate-add-links').onclick = async () => {
+    const input = $('#aggregate-links');
+    if (await addAggregateLinks(input.value)) input.value = '';
+  };
+  $('#btn-aggregate-add-mine').onclick = addOwnBallot;
+  $('#btn-aggregate-back').onclick = () => showScreen(state.sorter.result ? 'screen-results' : 'screen-welcome');
+  $$('[data-open-aggregate]').forEach(b => { b.onclick = showAggregate; });
+}
+
+window.initAggregate = initAggregate;
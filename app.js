@@ -7,9 +7,11 @@
 
 const LS_KEY = 'pps.v1.state';
 const ASSETS_KEY = 'pps.v1.assetsReady';
-const DATA_URL = 'data/presidents.json';
 const APP_VERSION = '1.0.0';
 
+// Per-dataset, per-profile state key (see datasets.js and profiles.js)
+function stateKey() { return datasetStorageKey(LS_KEY) + profileKeySuffix(); }
+
 // --- Utilities --------------------------------------------------------------
 const $ = (sel, root = document) => root.querySelector(sel);
 const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
@@ -110,18 +112,8 @@ function imageWithFallback(src, alt, { width, height, className } = {}) {
 }
 
 function resolveImageSrc(person) {
-  // Try multiple patterns: explicit image, numbered variants matching provided img/ files
-  const candidates = [];
-  if (person.image) candidates.push(`img/${person.image}`);
-  if (person.number != null) {
-    const n = person.number;
-    candidates.push(`img/President_${n}.png`);
-    candidates.push(`img/President_${String(n).padStart(2,'0')}.png`);
-    candidates.push(`img/President_${String(n)}.png`);
-  }
-  // generic fallbacks
-  candidates.push(`img/${person.id}.jpg`, `img/${person.id}.png`, `img/${person.id}.jpeg`);
-  return candidates;
+  // Candidate sources come from the active dataset's image patterns
+  return itemImageCandidates(person);
 }
 
 function getSeed() {
@@ -133,20 +125,27 @@ function getSeed() {
 
 // --- Data loading -----------------------------------------------------------
 async function loadData() {
+  const ds = getActiveDataset();
+  // Imported lists carry their items inline (copied so preflight doesn't touch the manifest)
+  if (Array.isArray(ds.items)) {
+    const data = validateItems(ds.items.map(p => ({ ...p })), ds);
+    await preflightImages(data);
+    return data;
+  }
   try {
-  console.log('pps: attempting fetch', DATA_URL);
-  const res = await fetch(DATA_URL);
+  console.log('pps: attempting fetch', ds.dataUrl);
+  const res = await fetch(ds.dataUrl);
     if (!res.ok) throw new Error('Failed to load data');
-    const data = await res.json();
+    const data = validateItems(await res.json(), ds);
     await preflightImages(data);
     return data;
   } catch (err) {
     console.warn('Fetch failed, falling back to embedded JSON', err);
     // Try embedded script
-    const el = document.getElementById('presidents-json');
+    const el = ds.embeddedId && document.getElementById(ds.embeddedId);
     if (el) {
       try {
-        const data = JSON.parse(el.textContent);
+        const data = validateItems(JSON.parse(el.textContent), ds);
         await preflightImages(data);
         return data;
       } catch (e) { throw new Error('No embedded data available'); }
@@ -183,13 +182,18 @@ const defaultState = () => ({
   version: APP_VERSION,
   seed: getSeed(),
   useHistorian: true,
+  historianSurvey: null, // survey id from the dataset's survey index, 'average', or null for the first
+  pairwiseAlgorithm: 'insertion', // 'insertion' | 'merge-insertion'
+  btTarget: 0.9, // Bradley–Terry: stop once ranking confidence reaches this
+  ratingEngine: 'elo', // rating-based sorter: 'elo' | 'glicko2' | 'trueskill' (see rating-engines.js)
+  topK: null, // rank only the favourite N (pairwise + picker); null ranks everything
   dataVersion: 1,
   timestamp: Date.now(),
   screen: 'welcome',
   data: [], // loaded presidents
   // sorter state
   sorter: {
-    mode: 'merge', // 'merge' | 'elo'
+    mode: 'merge', // 'merge' | 'insertion' | 'merge-insertion' | 'elo' | 'bt'
     active: false,
     pendingResolve: null, // internal
     cache: {}, // key "A|B" -> 1 (A>B), 0 (tie), -1 (A<B)
@@ -197,10 +201,14 @@ const defaultState = () => ({
     progress: 0,
     stack: null, // serialized async mergesort state
     result: null, // array of ids when done
+    rest: null, // top-N runs: items left unordered below the ranking
   undo: [], // stack of snapshots to support Back
-    // ELO-specific
+    // Rating-based sorter (ELO / Glicko-2 / TrueSkill)
     elo: {
-      ratings: {}, // id -> rating
+      engine: 'elo',
+      players: {}, // id -> engine-specific player record
+      ratings: {}, // id -> display rating
+      deviations: {}, // id -> display uncertainty (1 SD)
       kFactor: 32,
       pairsDone: 0,
       totalPairs: 0,
@@ -209,14 +217,26 @@ const defaultState = () => ({
     },
     eloIntensity: 'balanced', // 'fast' | 'balanced' | 'accurate'
   },
-  // tier board
-  tiers: { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [] },
+  // relative tier sizes for auto-tier on plain orderings (null = pyramid default)
+  tierProportions: null,
+  // tier board: layout ('columns' | 'rows'), optional title bar, schema (names, colors, order)
+  // and the ids placed in each tier
+  tierLayout: 'columns',
+  tierTitle: '',
+  tierSchema: defaultTierSchema(),
+  tiers: emptyTiers(defaultTierSchema()),
+  // PNG export settings (see TIER_RENDER_DEFAULTS in tier-render.js)
+  pngOptions: { ...TIER_RENDER_DEFAULTS },
+  // per-item notes shown on the tier board: id -> text
+  notes: {},
+  // tier board undo/redo: { tiers, tierSchema } snapshots
+  tierHistory: { past: [], future: [] },
   // for share link and exports
   history: [],
 });
 
 function loadState() {
-  const raw = localStorage.getItem(LS_KEY);
+  const raw = localStorage.getItem(stateKey());
   if (!raw) return null;
   try {
     const parsed = JSON.parse(raw);
@@ -258,9 +278,15 @@ function sanitizeState(s) {
     if (s.data) s.data = cleanArrayLike(s.data);
     else s.data = [];
 
-    // ensure tiers structure
-    s.tiers = s.tiers || {};
-    ['SS','S','A','B','C','D','E','F','Unplaced'].forEach(t => { if (!Array.isArray(s.tiers[t])) s.tiers[t] = []; });
+    // ensure tiers structure (saves without a schema used the SS–F default)
+    if (!TIER_LAYOUTS.includes(s.tierLayout)) s.tierLayout = 'columns';
+    s.tierTitle = typeof s.tierTitle === 'string' ? s.tierTitle : '';
+    s.tierSchema = normalizeTierSchema(s.tierSchema);
+    s.tiers = reconcileTiers(s.tiers || {}, s.tierSchema);
+    s.notes = sanitizeNotes(s.notes);
+    s.pngOptions = normalizeRenderOptions(s.pngOptions);
+    const snaps = (list) => (Array.isArray(list) ? list.filter(x => x && x.tiers && Array.isArray(x.tierSchema)) : []);
+    s.tierHistory = { past: snaps(s.tierHistory?.past), future: snaps(s.tierHistory?.future) };
 
     // sorter defaults
     s.sorter = s.sorter || {};
@@ -268,6 +294,7 @@ function sanitizeState(s) {
     s.sorter.ties = s.sorter.ties || {};
   s.sorter.undo = Array.isArray(s.sorter.undo) ? s.sorter.undo : [];
     if (Array.isArray(s.sorter.result)) s.sorter.result = s.sorter.result.filter(Boolean);
+    if (Array.isArray(s.sorter.rest)) s.sorter.rest = s.sorter.rest.filter(Boolean);
 
     // sanitize stack if present
     if (s.sorter.stack && s.data && s.data.length) {
@@ -277,11 +304,31 @@ function sanitizeState(s) {
       s.sorter.stack.L = fixIdList(s.sorter.stack.L);
       s.sorter.stack.R = fixIdList(s.sorter.stack.R);
       s.sorter.stack.out = fixIdList(s.sorter.stack.out);
-      // clamp indices
+      // clamp indices (a re-ask stack counts its pairs instead of arr)
+      const stackI = s.sorter.stack.i|0;
       s.sorter.stack.li = Math.max(0, Math.min(s.sorter.stack.li|0, s.sorter.stack.L.length));
       s.sorter.stack.rj = Math.max(0, Math.min(s.sorter.stack.rj|0, s.sorter.stack.R.length));
       s.sorter.stack.i = Math.max(0, Math.min(s.sorter.stack.i|0, s.sorter.stack.arr.length));
       s.sorter.stack.width = Math.max(1, s.sorter.stack.width|0 || 1);
+      if (s.sorter.stack.mode === 'merge-insertion') s.sorter.stack.items = fixIdList(s.sorter.stack.items);
+      if (Array.isArray(s.sorter.stack.rest)) s.sorter.stack.rest = fixIdList(s.sorter.stack.rest);
+      if (s.sorter.stack.resort) {
+        const job = s.sorter.stack.resort;
+        job.ids = fixIdList(job.ids); job.result = fixIdList(job.result); job.rest = fixIdList(job.rest);
+        job.taken = { cache: { ...(job.taken && job.taken.cache) }, ties: { ...(job.taken && job.taken.ties) } };
+      }
+      if (s.sorter.stack.mode === 'reask') {
+        s.sorter.stack.baseOrder = fixIdList(s.sorter.stack.baseOrder);
+        s.sorter.stack.pairs = (s.sorter.stack.pairs || []).filter(p => Array.isArray(p) && ids.has(p[0]) && ids.has(p[1]));
+        s.sorter.stack.i = Math.max(0, Math.min(stackI, s.sorter.stack.pairs.length));
+      }
+    }
+    if (s.sorter.bt && s.data && s.data.length) {
+      const ids = new Set(s.data.map(p => p.id));
+      s.sorter.bt.ids = (s.sorter.bt.ids || []).filter(id => ids.has(id));
+      s.sorter.bt.comparisons = (s.sorter.bt.comparisons || []).filter(c => Array.isArray(c) && ids.has(c[0]) && ids.has(c[1]));
+      s.sorter.bt.theta = s.sorter.bt.theta || {};
+      s.sorter.bt.ratings = s.sorter.bt.ratings || {};
     }
   } catch (e) { console.warn('sanitizeState error', e); }
   return s;
@@ -289,12 +336,12 @@ function sanitizeState(s) {
 
 const saveState = debounce(function save() {
   state.timestamp = Date.now();
-  localStorage.setItem(LS_KEY, JSON.stringify(state));
+  localStorage.setItem(stateKey(), JSON.stringify(state));
   $('#toast') && toast('Saved', { ok: true });
 }, 300);
 
 function clearState() {
-  localStorage.removeItem(LS_KEY);
+  localStorage.removeItem(stateKey());
   history.replaceState(null, '', location.pathname + location.search);
 }
 
@@ -373,25 +420,24 @@ function renderCard(el, person) {
     }
   })();
   wrap.appendChild(imgNode);
-  const h3 = document.createElement('h3'); h3.textContent = person.name;
-  const years = document.createElement('div'); years.className = 'years'; years.textContent = person.years;
-  if (person.number != null) {
+  const h3 = document.createElement('h3'); h3.textContent = itemTitle(person);
+  const years = document.createElement('div'); years.className = 'years'; years.textContent = itemSubtitle(person);
+  const badge = itemBadge(person);
+  if (badge) {
   const num = document.createElement('span'); num.className = 'pres-number';
-  // Special cases for nonconsecutive terms
-  if (person.id === 'cleveland') num.textContent = '#22 and #24';
-  else if (person.id === 'trump') num.textContent = '#45 and #47';
-  else num.textContent = `#${person.number}`;
+  num.textContent = badge;
     years.prepend(num, ' ');
   }
   el.append(wrap, h3, years);
 }
 
-function updateProgress(pct) {
+function updateProgress(pct, label = null) {
   const bar = $('#progress-bar');
   bar.style.width = `${Math.round(pct)}%`;
   bar.setAttribute('aria-valuenow', String(Math.round(pct)));
   const txt = $('#progress-text');
-  if (txt) {
+  if (txt && label != null) txt.textContent = label;
+  else if (txt) {
     const n = state?.sorter?.totalComparisons ?? 0;
     const done = countUniqueCachePairs(state?.sorter?.cache || {});
     txt.textContent = n > 0 ? `${done}/${n}` : '';
@@ -418,10 +464,16 @@ function computeProvisionalRanking() {
   const idMap = new Map(state.data.map(p => [p.id, p]));
   if (!st) return state.sorter.result || [];
   // Support both merge-stack and insertion-stack shapes
+  if (st.mode === 'merge-insertion') {
+    const ids = Array.isArray(st.provisionalOrder) ? st.provisionalOrder : st.items || [];
+    return ids.map(id => idMap.get(id)).filter(Boolean);
+  }
+  if (st.mode === 'reask') return objsOf(st.baseOrder || [], idMap);
   if (st.mode === 'insertion') {
     const resIds = Array.isArray(st.result) ? st.result.slice() : [];
   const listIds = Array.isArray(st.provisionalOrder) ? st.provisionalOrder.slice() : resIds.slice().concat(Array.isArray(st.pending) ? st.pending.slice() : []);
-  const ids = listIds;
+  // top-N: items already knocked out of the top go last
+  const ids = listIds.concat((st.rest || []).filter(id => !listIds.includes(id)));
     return ids.map(id => idMap.get(id)).filter(Boolean);
   }
   // fallback: assume merge-style stack
@@ -442,7 +494,10 @@ function renderLiveRanking(currentPairIds = null) {
   const listEl = $('#live-ranking-list');
   if (!listEl) return;
   let items;
-  if (state.sorter.mode === 'elo') {
+  if (state.sorter.mode === 'bt' && state.sorter.bt) {
+    const idMap = new Map(state.data.map(p => [p.id, p]));
+    items = btOrderedIds(state.sorter.bt).map(id => idMap.get(id)).filter(Boolean);
+  } else if (state.sorter.mode === 'elo') {
     const elo = state.sorter.elo;
     if (elo && elo.ratings && Object.keys(elo.ratings).length) {
       const idMap = new Map(state.data.map(p => [p.id, p]));
@@ -460,14 +515,14 @@ function renderLiveRanking(currentPairIds = null) {
     const p = items[i];
     const li = document.createElement('li');
     li.className = 'live-item';
-    if (i > 0) {
+    if (i > 0 && !isRatingMode()) {
       const prev = items[i - 1];
       const tieKey = `${prev.id}|${p.id}`;
       const isTie = !!(state.sorter.ties[tieKey] || state.sorter.ties[`${p.id}|${prev.id}`]);
       if (!isTie) rank = i + 1;
     }
     const num = document.createElement('span'); num.className = 'rankno'; num.textContent = `${rank}.`;
-    const name = document.createElement('span'); name.textContent = ' ' + p.name;
+    const name = document.createElement('span'); name.textContent = ' ' + itemTitle(p);
     // If this id is part of the current comparison, add a visual bold class but keep position
     if (currentPairIds && (p.id === currentPairIds[0] || p.id === currentPairIds[1])) {
       name.classList.add('comparing-bold');
@@ -493,8 +548,10 @@ function renderLiveRanking(currentPairIds = null) {
         }
       } catch (e) {}
       li.appendChild(rspan);
+      li.appendChild(makeDeviationBadge(p.id));
       if (deltaSpan) li.appendChild(deltaSpan);
     }
+    if (state.sorter.mode === 'bt' && state.sorter.bt) li.appendChild(makeCredibleInterval(state.sorter.bt.ratings[p.id], 'elo-rating'));
     if (currentPairIds && (p.id === currentPairIds[0] || p.id === currentPairIds[1])) li.classList.add('comparing');
     listEl.appendChild(li);
   }
@@ -520,7 +577,7 @@ function makePrefer() {
       renderCard(leftEl, a); renderCard(rightEl, b);
 
       const finish = (val) => {
-        if (val !== null && val !== 'BACK') {
+        if (val !== null && val !== 'BACK' && val !== 'FINISH') {
           state.sorter.cache[k] = val;
           state.sorter.cache[`${b.id}|${a.id}`] = val === 1 ? -1 : val === -1 ? 1 : 0;
           if (val === 0) state.sorter.ties[k] = true, state.sorter.ties[`${b.id}|${a.id}`] = true;
@@ -533,6 +590,7 @@ function makePrefer() {
     if (btnRight) btnRight.onclick = null;
     if (btnSkip) btnSkip.onclick = null;
     if (btnBack) btnBack.onclick = null;
+    const btnFinish = $('#choose-finish'); if (btnFinish) btnFinish.onclick = null;
         saveState();
         resolve(val);
       };
@@ -558,6 +616,12 @@ function makePrefer() {
   if (btnRight) btnRight.onclick = (e) => { e && e.preventDefault(); console.debug('choose-right clicked'); finish(-1); };
   if (btnSkip) btnSkip.onclick = (e) => { e && e.preventDefault(); console.debug('choose-skip clicked'); finish(null); };
   if (btnBack) btnBack.onclick = (e) => { e && e.preventDefault(); console.debug('choose-back clicked'); finish('BACK'); };
+  // "Finish now" is only offered by modes that can stop early (Bradley–Terry)
+  const btnFinish = $('#choose-finish');
+  if (btnFinish) {
+    btnFinish.hidden = state.sorter.mode !== 'bt';
+    btnFinish.onclick = (e) => { e && e.preventDefault(); finish('FINISH'); };
+  }
   // Highlight current pair in the live ranking panel
   try { renderLiveRanking([a.id, b.id]); } catch (_) {}
     });
@@ -601,12 +665,14 @@ function idsOf(list) {
 }
 function objsOf(ids, idMap) { return ids.map(id => idMap.get(id)).filter(Boolean); }
 
-function initSort(items) {
+function initSort(items, { topK = null } = {}) {
   if (!Array.isArray(items) || items.length === 0) throw new Error('No items to sort');
   // We'll use binary insertion: build an ordered array progressively by inserting each candidate
   state.sorter.mode = 'insertion';
   state.sorter.active = true;
   state.sorter.result = null;
+  state.sorter.rest = null;
+  const k = topK > 0 && topK < items.length ? topK : null;
   // stack holds: mode:'insertion', result: [ids inserted so far], pending: [ids left to insert], i: current index
   state.sorter.stack = {
     mode: 'insertion',
@@ -616,10 +682,13 @@ function initSort(items) {
   lo: 0, hi: 0, // current binary search bounds for insertion
   current: null, // id being inserted now
   probe: null,   // current probe id
+  topK: k,       // partial selection: keep only the best k in result
+  cutoffProbe: false, // next probe is the k-th item (one question rejects most candidates)
+  rest: [],      // ids that fell out of the top k
   };
   const n = state.sorter.stack.pending.length;
   // Use binary-insertion theoretical upper bound for comparisons as totalComparisons estimate
-  state.sorter.totalComparisons = totalComparisonUpperBound(n);
+  state.sorter.totalComparisons = k ? topKComparisonUpperBound(n, k) : totalComparisonUpperBound(n);
   state.sorter.undo = [];
   // Don't take initial snapshot here - wait until first real choice
   saveState();
@@ -643,11 +712,12 @@ function initElo(items) {
   else if (intensity === 'balanced') { multiplier = 1.0; kFactor = 32; }
   else if (intensity === 'accurate') { multiplier = 1.5; kFactor = 24; }
   const extra = Math.max(0, Math.round((multiplier - 1) * basePairs));
-  const elo = { ratings: {}, kFactor, pairsDone: 0, totalPairs: basePairs + extra, queue: [], history: {} };
+  const engine = getRatingEngine(state.ratingEngine);
+  const elo = { engine: engine.id, players: {}, ratings: {}, deviations: {}, kFactor, pairsDone: 0, totalPairs: basePairs + extra, queue: [], history: {} };
   // init ratings
-  ids.forEach(id => { elo.ratings[id] = 1000; });
+  ids.forEach(id => { elo.players[id] = engine.create(); syncRating(elo, id); });
   // init history
-  ids.forEach(id => { elo.history[id] = [1000]; });
+  ids.forEach(id => { elo.history[id] = [Math.round(elo.ratings[id])]; });
   // seed queue with a shuffled round-robin cycle to ensure broad coverage initially
   const cycles = Math.max(2, Math.ceil(Math.log2(Math.max(2, ids.length))));
   for (let c = 0; c < cycles; c++) {
@@ -661,7 +731,47 @@ function initElo(items) {
   state.sorter.totalComparisons = elo.totalPairs;
   // Don't take initial snapshot here - wait until first real choice
   saveState();
-  dbg('initElo', { n: ids.length, totalPairs: elo.totalPairs, kFactor, intensity, queueSeed: elo.queue.length });
+  dbg('initElo', { n: ids.length, engine: engine.id, totalPairs: elo.totalPairs, kFactor, intensity, queueSeed: elo.queue.length });
+}
+
+function isRatingMode() { return state.sorter.mode === 'elo' || state.sorter.mode === 'bt'; }
+
+// Copy an engine's player record into the display maps used by the UI
+function syncRating(elo, id) {
+  const engine = getRatingEngine(elo.engine);
+  elo.ratings[id] = engine.rating(elo.players[id]);
+  elo.deviations[id] = engine.deviation(elo.players[id]);
+}
+
+// Saves from before rating engines only have Elo numbers; rebuild player records from them
+function ensureRatingPlayers(elo) {
+  if (elo.players && Object.keys(elo.players).length) return;
+  elo.engine = 'elo';
+  elo.players = {}; elo.deviations = {};
+  Object.keys(elo.ratings || {}).forEach(id => {
+    const games = Math.max(0, ((elo.history && elo.history[id]) || [0]).length - 1);
+    elo.players[id] = { r: elo.ratings[id], games };
+    syncRating(elo, id);
+  });
+}
+
+function makeDeviationBadge(id) {
+  const elo = state.sorter.elo;
+  const span = document.createElement('span');
+  span.className = 'rating-dev';
+  const dev = elo && elo.deviations ? elo.deviations[id] : null;
+  if (dev == null) return span;
+  const engine = getRatingEngine(elo.engine);
+  const player = elo.players && elo.players[id];
+  span.textContent = `±${Math.round(dev)}`;
+  if (isRatingUncertain(engine, player)) {
+    span.classList.add('uncertain');
+    span.textContent += ' ?';
+    span.title = `Uncertain: only ${player.games} comparison${player.games === 1 ? '' : 's'} so far (${engine.label})`;
+  } else {
+    span.title = `${engine.label} deviation after ${player ? player.games : 0} comparisons`;
+  }
+  return span;
 }
 
 function estimateEloPairTarget(n) {
@@ -671,24 +781,32 @@ function estimateEloPairTarget(n) {
   return Math.max(n - 1, Math.round(1.5 * n * h));
 }
 
-function eloExpected(ra, rb) { return 1 / (1 + Math.pow(10, (rb - ra) / 400)); }
-
-function eloUpdate(r, score, expected, k) { return r + k * (score - expected); }
-
 async function continueElo() {
   let idMap = new Map(state.data.map(p => [p.id, p]));
   let elo = state.sorter.elo;
+  ensureRatingPlayers(elo);
+  const asked = (a, b) => state.sorter.cache[`${a}|${b}`] != null;
   const nextPair = () => {
-    // Pull from queue; if empty, pick two with closest ratings to refine borders
-    if (elo.queue.length > 0) return elo.queue.shift();
+    // Pull from queue; if empty, pick two with closest ratings to refine borders.
+    // Answered pairs are never replayed from the cache: that would count one answer twice.
+    while (elo.queue.length > 0) {
+      const pair = elo.queue.shift();
+      if (!asked(pair[0], pair[1])) return pair;
+    }
     const ids = Object.keys(elo.ratings);
     ids.sort((a,b) => elo.ratings[b] - elo.ratings[a]);
-    let best = null; let bestDiff = Infinity;
-    for (let i = 0; i < ids.length - 1; i++) {
-      const diff = Math.abs(elo.ratings[ids[i]] - elo.ratings[ids[i+1]]);
-      if (diff < bestDiff) { bestDiff = diff; best = [ids[i], ids[i+1]]; }
+    for (let gap = 1; gap < ids.length; gap++) {
+      let best = null; let bestScore = Infinity;
+      for (let i = 0; i + gap < ids.length; i++) {
+        const a = ids[i]; const b = ids[i + gap];
+        if (asked(a, b)) continue;
+        // close ratings first, nudged toward items we're still unsure about
+        const score = Math.abs(elo.ratings[a] - elo.ratings[b]) - ((elo.deviations[a] || 0) + (elo.deviations[b] || 0)) / 4;
+        if (score < bestScore) { bestScore = score; best = [a, b]; }
+      }
+      if (best) return best;
     }
-    return best;
+    return null;
   };
 
   const prefer = makePrefer();
@@ -731,15 +849,12 @@ async function continueElo() {
     }
     const ra = elo.ratings[a.id];
     const rb = elo.ratings[b.id];
-    const Ea = eloExpected(ra, rb);
-    const Eb = 1 - Ea;
-    const k = elo.kFactor;
-    const isTie = res === 0;
-    const Sa = isTie ? 0.5 : (res > 0 ? 1 : 0);
-    const Sb = isTie ? 0.5 : (res < 0 ? 1 : 0);
-    elo.ratings[a.id] = eloUpdate(ra, Sa, Ea, k);
-    elo.ratings[b.id] = eloUpdate(rb, Sb, Eb, k);
-  dbg('elo:update', { a: a.id, b: b.id, res, ra: Math.round(ra), rb: Math.round(rb), newA: Math.round(elo.ratings[a.id]), newB: Math.round(elo.ratings[b.id]) });
+    // A tie is a draw for every engine (TrueSkill models it with its own draw margin)
+    const score = res === 0 ? 0.5 : (res > 0 ? 1 : 0);
+    const engine = getRatingEngine(elo.engine);
+    [elo.players[a.id], elo.players[b.id]] = engine.update(elo.players[a.id], elo.players[b.id], score, { kFactor: elo.kFactor });
+    syncRating(elo, a.id); syncRating(elo, b.id);
+  dbg('elo:update', { engine: engine.id, a: a.id, b: b.id, res, ra: Math.round(ra), rb: Math.round(rb), newA: Math.round(elo.ratings[a.id]), newB: Math.round(elo.ratings[b.id]) });
   // record history (cap to 10)
   (elo.history[a.id] ||= []).push(Math.round(elo.ratings[a.id])); if (elo.history[a.id].length > 10) elo.history[a.id].shift();
   (elo.history[b.id] ||= []).push(Math.round(elo.ratings[b.id])); if (elo.history[b.id].length > 10) elo.history[b.id].shift();
@@ -771,6 +886,113 @@ async function continueElo() {
   showScreen('screen-results');
 }
 
+// --- Bradley–Terry mode ------------------------------------------------------
+function initBT(items) {
+  if (!Array.isArray(items) || items.length === 0) throw new Error('No items to sort');
+  state.sorter.mode = 'bt';
+  state.sorter.active = true;
+  state.sorter.result = null;
+  state.sorter.stack = null;
+  state.sorter.cache = {}; state.sorter.ties = {}; state.sorter.undo = [];
+  // comparisons: [a, b, score] with score 1 (a preferred), 0.5 (tie), 0 (b preferred)
+  state.sorter.bt = { ids: idsOf(items), comparisons: [], theta: {}, ratings: {}, confidence: 0, target: state.btTarget || 0.9, pairsDone: 0 };
+  state.sorter.totalComparisons = 0; // open-ended: progress is shown as confidence instead
+  refreshBT();
+  saveState();
+  dbg('initBT', { n: state.sorter.bt.ids.length, target: state.sorter.bt.target });
+}
+
+// Refit the posterior from all answers and store display values; returns the fit for pair selection
+function refreshBT() {
+  const bt = state.sorter.bt;
+  const fit = btFit(bt.ids, bt.comparisons, { init: bt.theta });
+  bt.theta = {}; bt.ratings = {};
+  fit.ids.forEach(id => {
+    bt.theta[id] = fit.theta[fit.index.get(id)];
+    const r = btRating(fit, id);
+    bt.ratings[id] = { mean: Math.round(r.mean), lo: Math.round(r.lo), hi: Math.round(r.hi), sd: Math.round(r.sd) };
+  });
+  bt.confidence = btConfidence(fit);
+  return fit;
+}
+
+function btOrderedIds(bt) {
+  return (bt.ids || []).slice().sort((a, b) => (bt.theta[b] || 0) - (bt.theta[a] || 0));
+}
+
+function makeCredibleInterval(r, className) {
+  const span = document.createElement('span');
+  span.className = `${className} rating-ci`;
+  if (!r) return span;
+  span.textContent = `${r.mean} `;
+  const range = document.createElement('small'); range.textContent = `[${r.lo}–${r.hi}]`;
+  span.appendChild(range);
+  span.title = `95% credible interval ${r.lo}–${r.hi} (±${Math.round(r.sd * 1.96)})`;
+  return span;
+}
+
+function updateBTProgress() {
+  const bt = state.sorter.bt;
+  const pct = Math.round(bt.confidence * 100);
+  updateProgress(pct, `Confidence ${pct}% / ${Math.round(bt.target * 100)}% · ${bt.pairsDone} answered`);
+}
+
+async function continueBT() {
+  const prefer = makePrefer();
+  let idMap = new Map(state.data.map(p => [p.id, p]));
+  let fit = refreshBT();
+  updateBTProgress();
+  try { renderLiveRanking(); } catch {}
+
+  for (;;) {
+    const bt = state.sorter.bt;
+    if (bt.confidence >= bt.target) { dbg('bt:target-reached', { confidence: bt.confidence }); break; }
+    const next = btNextPair(fit, (a, b) => state.sorter.cache[`${a}|${b}`] != null);
+    if (!next) { dbg('bt:no-informative-pair', { pairsDone: bt.pairsDone }); break; }
+    const a = idMap.get(next.pair[0]);
+    const b = idMap.get(next.pair[1]);
+    if (!a || !b) break;
+    dbg('bt:pair', { a: a.id, b: b.id, gain: next.gain, confidence: bt.confidence });
+
+    // Take snapshot BEFORE asking the question (this is the state we can restore to)
+    pushUndoSnapshot();
+
+    const res = await prefer(a, b);
+    if (res === 'BACK') {
+      const ok = restoreFromUndo();
+      if (!ok) return; // nothing to undo
+      idMap = new Map(state.data.map(p => [p.id, p]));
+      fit = refreshBT();
+      continue;
+    }
+    if (res === 'FINISH') break;
+    const score = res === null || res === 0 ? 0.5 : (res > 0 ? 1 : 0);
+    if (res === null) {
+      // Skip is recorded as a tie so the same pair isn't chosen again
+      state.sorter.cache[`${a.id}|${b.id}`] = 0; state.sorter.cache[`${b.id}|${a.id}`] = 0;
+    }
+    state.sorter.bt.comparisons.push([a.id, b.id, score]);
+    state.sorter.bt.pairsDone++;
+    fit = refreshBT();
+    saveState();
+    updateBTProgress();
+    updateBackButton();
+    try { renderLiveRanking([a.id, b.id]); } catch {}
+  }
+
+  // Finish: posterior means give the ranking
+  const btnFinish = $('#choose-finish');
+  if (btnFinish) btnFinish.hidden = true;
+  const result = objsOf(btOrderedIds(state.sorter.bt), idMap);
+  state.sorter.active = false;
+  state.sorter.result = result;
+  state.sorter.mode = 'bt';
+  updateBackButton();
+  saveState();
+  renderResults(result);
+  showScreen('screen-results');
+}
+
 function updateBackButton() {
   const btnBack = document.getElementById('choose-back');
   if (!btnBack) return;
@@ -842,7 +1064,12 @@ function restoreFromUndo() {
   
   // Refresh UI bits (progress and live ranking) to reflect restored state
   try {
-    if (state.sorter.mode === 'elo' && state.sorter.elo) {
+    if (state.sorter.stack && state.sorter.stack.mode === 'reask') {
+      const st = state.sorter.stack;
+      updateProgress((st.i / Math.max(1, st.pairs.length)) * 100, `Re-asking ${st.i + 1} of ${st.pairs.length}`);
+    } else if (state.sorter.mode === 'bt' && state.sorter.bt) {
+      updateBTProgress();
+    } else if (state.sorter.mode === 'elo' && state.sorter.elo) {
       const done = state.sorter.elo.pairsDone || 0;
       const total = state.sorter.elo.totalPairs || state.sorter.totalComparisons || 0;
       const pct = total > 0 ? Math.min(100, (done / total) * 100) : 0;
@@ -868,6 +1095,9 @@ async function continueSort() {
   let st = state.sorter.stack;
   if (!st) return;
 
+  if (st.mode === 'merge-insertion') return continueMergeInsertion();
+  if (st.mode === 'reask') return continueReask();
+
   // If stack.mode isn't insertion, fall back to finishing result
   if (st.mode !== 'insertion') {
     // attempt to convert old merge-stack to result
@@ -898,6 +1128,8 @@ async function continueSort() {
         st.provisionalOrder = (Array.isArray(st.result) ? st.result.slice() : []).concat([st.current]).concat(Array.isArray(st.pending) ? st.pending.slice() : []);
       } catch (e) { st.provisionalOrder = null; }
       st.lo = 0; st.hi = st.result.length;
+      // top-N with a full result: ask against the cutoff item first
+      st.cutoffProbe = !!(st.topK && st.result.length >= st.topK);
       
       // fast path: empty result
       if (st.hi === 0) {
@@ -911,7 +1143,7 @@ async function continueSort() {
 
     // If we have active current, continue binary search
     if (st.lo < st.hi) {
-      const mid = Math.floor((st.lo + st.hi) / 2);
+      const mid = st.cutoffProbe ? st.hi - 1 : Math.floor((st.lo + st.hi) / 2);
       // pick a probe that is not the same id as current; search nearby indices if needed
       let probeIndex = mid;
       let probeId = st.result[probeIndex];
@@ -975,6 +1207,7 @@ async function continueSort() {
         st.lo = mid + 1;
         dbg('ins:choice', { result: 'a<b', mid, lo: st.lo, hi: st.hi });
       }
+      st.cutoffProbe = false;
       saveState();
       estimate();
       try { renderLiveRanking(); } catch {}
@@ -988,6 +1221,10 @@ async function continueSort() {
       if (existing >= 0) st.result.splice(existing, 1);
       const pos = Math.max(0, Math.min(st.result.length, st.lo|0));
       st.result.splice(pos, 0, st.current);
+      // top-N: whatever is pushed past the cutoff stays unordered
+      if (st.topK && st.result.length > st.topK) {
+        st.rest = (st.rest || []).concat(st.result.splice(st.topK));
+      }
   st.current = null; st.probe = null;
   // clear provisional snapshot now that insertion completed
   st.provisionalOrder = null;
@@ -1003,13 +1240,24 @@ async function continueSort() {
   const result = objsOf(st.result || [], idMap);
   state.sorter.active = false;
   state.sorter.result = result;
+  state.sorter.rest = st.topK ? objsOf(st.rest || [], idMap) : null;
   state.sorter.stack = null;
+  if (Array.isArray(st.insertNew) && st.insertNew.length) {
+    const order = (st.result || []).concat(st.rest || []);
+    const suggestions = suggestTiersForNew(st.insertNew, order);
+    if (suggestions.length) {
+      const name = (id) => (idMap.has(id) ? itemTitle(idMap.get(id)) : id);
+      toast(`Suggested tiers: ${suggestions.map(x => `${name(x.id)} → ${tierLabel(x.tier)}`).join(', ')} (Undo on the tier board takes them back)`, { ok: true });
+    }
+  }
+  // Re-sorted slice: put it back into the full ranking
+  if (st.resort) applyResort(st.resort, st.result || []);
   updateBackButton(); // Disable back button when finished
   updateProgress(100);
   saveState();
-  renderResults(result);
+  renderResults(state.sorter.result);
   showScreen('screen-results');
-  dbg('ins:finished', { resultLen: result.length });
+  dbg('ins:finished', { resultLen: state.sorter.result.length });
 }
 
 function estimateProgress(n, uniquePairCount) {
@@ -1026,39 +1274,651 @@ function totalComparisonUpperBound(n) {
   return n * h - (Math.pow(2, h) - 1);
 }
 
+// Top-k insertion: sort the first k, then each later item costs the cutoff probe plus a search of k-1
+function topKComparisonUpperBound(n, k) {
+  if (n <= 1 || k <= 0) return 0;
+  return totalComparisonUpperBound(k) + (n - k) * (1 + Math.ceil(Math.log2(Math.max(1, k))));
+}
+
+// --- Merge-insertion (Ford–Johnson) mode -----------------------------------
+// The algorithm is replayed from scratch against the answer cache on every step: a comparison
+// that hasn't been answered yet throws PendingComparison, which becomes the next question.
+// That keeps the whole resumable state in state.sorter.cache plus the input order in
+// state.sorter.stack, so undo snapshots restore it like any other mode.
+class PendingComparison {
+  constructor(a, b) { this.pair = [a, b]; }
+}
+
+function cachedBetter(cache) {
+  return (x, y) => {
+    const v = cache[`${x}|${y}`];
+    if (v == null) throw new PendingComparison(x, y);
+    return v > 0; // ties keep x after y
+  };
+}
+
+// Sorts ids best-first. better(x, y) is true when x ranks above y.
+function fordJohnsonSort(ids, better) {
+  if (ids.length <= 1) return ids.slice();
+  // 1) pair up; the better of each pair waits, the worse one goes into the recursion
+  const pairs = [];
+  for (let i = 0; i + 1 < ids.length; i += 2) {
+    const x = ids[i]; const y = ids[i + 1];
+    pairs.push(better(x, y) ? { top: x, rest: y } : { top: y, rest: x });
+  }
+  const straggler = ids.length % 2 ? ids[ids.length - 1] : null;
+  // 2) recursively sort the worse halves; they form the main chain
+  const mains = fordJohnsonSort(pairs.map(p => p.rest), better);
+  const topOf = new Map(pairs.map(p => [p.rest, p.top]));
+  // pending[i] must land above mains[i]; the straggler has no bound
+  const pending = mains.map(id => ({ id: topOf.get(id), bound: id }));
+  if (straggler != null) pending.push({ id: straggler, bound: null });
+  const chain = [pending[0].id, ...mains];
+  // 3) insert the rest in Jacobsthal-sized groups, each group back to front
+  const insert = ({ id, bound }) => {
+    let lo = 0; let hi = bound == null ? chain.length : chain.indexOf(bound);
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (better(id, chain[mid])) hi = mid; else lo = mid + 1;
+    }
+    chain.splice(lo, 0, id);
+  };
+  let prev = 1; // pending[0] is already placed
+  for (let jPrev = 1, j = 3; prev < pending.length; [jPrev, j] = [j, j + 2 * jPrev]) {
+    const end = Math.min(j, pending.length);
+    for (let k = end; k > prev; k--) insert(pending[k - 1]);
+    prev = end;
+  }
+  return chain;
+}
+
+// Exact worst case of merge-insertion: sum of ceil(log2(3k/4)) for k = 1..n
+function mergeInsertionWorstCase(n) {
+  let total = 0;
+  for (let k = 1; k <= n; k++) total += Math.ceil(Math.log2((3 * k) / 4));
+  return total;
+}
+
+function initMergeInsertion(items) {
+  if (!Array.isArray(items) || items.length === 0) throw new Error('No items to sort');
+  state.sorter.mode = 'merge-insertion';
+  state.sorter.active = true;
+  state.sorter.result = null;
+  // stack holds: mode, items: input order (ids), pair: the question currently asked
+  state.sorter.stack = { mode: 'merge-insertion', items: idsOf(items).slice(), pair: null, provisionalOrder: null };
+  state.sorter.totalComparisons = mergeInsertionWorstCase(state.sorter.stack.items.length);
+  state.sorter.undo = [];
+  saveState();
+  dbg('initMergeInsertion', { n: state.sorter.stack.items.length, totalComparisons: state.sorter.totalComparisons });
+}
+
+// Provisional order for the live panel: net wins among answered pairs, input order breaks ties
+function mergeInsertionProvisional(st, cache) {
+  const score = new Map(st.items.map(id => [id, 0]));
+  for (const [k, v] of Object.entries(cache)) {
+    const [a, b] = k.split('|');
+    if (score.has(a) && score.has(b) && v) score.set(a, score.get(a) + v);
+  }
+  return st.items.slice().sort((x, y) => score.get(y) - score.get(x));
+}
+
+async function continueMergeInsertion() {
+  const prefer = makePrefer();
+  let idMap = new Map(state.data.map(p => [p.id, p]));
+  let order = null;
+  for (;;) {
+    const st = state.sorter.stack;
+    if (!st) return;
+    try {
+      order = fordJohnsonSort(st.items, cachedBetter(state.sorter.cache));
+      break;
+    } catch (e) {
+      if (!(e instanceof PendingComparison)) throw e;
+      st.pair = e.pair;
+    }
+    st.provisionalOrder = mergeInsertionProvisional(st, state.sorter.cache);
+    const a = idMap.get(st.pair[0]);
+    const b = idMap.get(st.pair[1]);
+    if (!a || !b) {
+      // missing item: settle the pair so the replay can move on
+      state.sorter.cache[`${st.pair[0]}|${st.pair[1]}`] = a ? 1 : -1;
+      state.sorter.cache[`${st.pair[1]}|${st.pair[0]}`] = a ? -1 : 1;
+      continue;
+    }
+
+    // Take snapshot BEFORE asking the question (this is the state we can restore to)
+    pushUndoSnapshot();
+
+    dbg('mi:ask', { a: a.id, b: b.id, asked: countUniqueCachePairs(state.sorter.cache) });
+    const res = await prefer(a, b);
+    if (res === 'BACK') {
+      const ok = restoreFromUndo();
+      if (!ok) return; // nothing to undo
+      idMap = new Map(state.data.map(p => [p.id, p]));
+      dbg('mi:after-back', sorterDigest(state.sorter));
+      continue;
+    }
+    if (res === null) {
+      // No skip queue in this mode: record as a tie so the replay can continue
+      state.sorter.cache[`${a.id}|${b.id}`] = 0; state.sorter.cache[`${b.id}|${a.id}`] = 0;
+      state.sorter.ties[`${a.id}|${b.id}`] = true; state.sorter.ties[`${b.id}|${a.id}`] = true;
+    }
+    const total = state.sorter.totalComparisons || 0;
+    updateProgress(total > 0 ? Math.min(100, (countUniqueCachePairs(state.sorter.cache) / total) * 100) : 0);
+    updateBackButton();
+    saveState();
+  }
+
+  // finished
+  const result = objsOf(order, idMap);
+  state.sorter.active = false;
+  state.sorter.result = result;
+  state.sorter.stack = null;
+  updateBackButton(); // Disable back button when finished
+  updateProgress(100);
+  saveState();
+  renderResults(result);
+  showScreen('screen-results');
+  dbg('mi:finished', { resultLen: result.length });
+}
+
 // --- Results UI -------------------------------------------------------------
+// Displayed rank per position: tied items share the rank of the first of their run
+function resultRanks(list, ties = isRatingMode() ? {} : state.sorter.ties) {
+  let rank = 1;
+  return list.map((p, i) => {
+    if (i > 0) {
+      const prev = list[i - 1];
+      const isTie = !!(ties[`${prev.id}|${p.id}`] || ties[`${p.id}|${prev.id}`]);
+      if (!isTie) rank = i + 1;
+    }
+    return rank;
+  });
+}
+
 function renderResults(list) {
   const ol = $('#results-list');
   ol.innerHTML = '';
-  let rank = 1;
+  const ranks = resultRanks(list);
   for (let i = 0; i < list.length; i++) {
     const p = list[i];
     const li = document.createElement('li');
-    if (i > 0) {
-      const prev = list[i - 1];
-      const tieKey = `${prev.id}|${p.id}`;
-      const isTie = !!(state.sorter.ties[tieKey] || state.sorter.ties[`${p.id}|${prev.id}`]);
-      if (!isTie) rank = i + 1;
-    }
-    const num = document.createElement('span'); num.className = 'rankno'; num.textContent = `${rank}.`;
-    const name = document.createElement('span'); name.textContent = ' ' + p.name;
+    const num = document.createElement('span'); num.className = 'rankno'; num.textContent = `${ranks[i]}.`;
+    const name = document.createElement('span'); name.textContent = ' ' + itemTitle(p);
+    if (resortSelection.has(p.id)) li.classList.add('resort-selected');
+    if (resortByHand) li.appendChild(makeResortCheckbox(p));
     li.append(num, name);
     if (state.sorter.mode === 'elo' && state.sorter.elo && state.sorter.elo.ratings) {
       const r = Math.round(state.sorter.elo.ratings[p.id] || 0);
       const rspan = document.createElement('span'); rspan.className = 'elo-final'; rspan.textContent = ` ${r}`;
       li.appendChild(rspan);
+      li.appendChild(makeDeviationBadge(p.id));
     }
+    if (state.sorter.mode === 'bt' && state.sorter.bt) li.appendChild(makeCredibleInterval(state.sorter.bt.ratings[p.id], 'elo-final'));
     ol.appendChild(li);
   }
+  // Top-N runs: the rest follows, unordered
+  const rest = state.sorter.rest || [];
+  if (rest.length) {
+    const head = document.createElement('li'); head.className = 'results-rest-heading';
+    head.textContent = `Not ranked (${rest.length})`;
+    ol.appendChild(head);
+    rest.forEach(p => {
+      const li = document.createElement('li'); li.className = 'results-rest';
+      const num = document.createElement('span'); num.className = 'rankno'; num.textContent = '–';
+      const name = document.createElement('span'); name.textContent = ' ' + itemTitle(p);
+      li.append(num, name);
+      ol.appendChild(li);
+    });
+  }
+  try { renderConsistency(); } catch (e) { console.warn('renderConsistency failed', e); }
+  renderMissingItems();
+  renderResortPanel();
+  try { renderHistorianPanel(); } catch (e) { console.warn('renderHistorianPanel failed', e); }
+}
+
+// Ranked items followed by any unordered rest (top-N runs)
+function rankedAndRest() {
+  return (state.sorter.result || []).concat(state.sorter.rest || []);
+}
+
+// --- New items (added to the dataset after the ranking was finished) ----------
+function missingFromRanking() {
+  const ranked = new Set(idsOf(rankedAndRest()));
+  if (!ranked.size) return [];
+  return (state.data || []).filter(p => p && p.id && !ranked.has(p.id));
+}
+
+// Same for a saved picker session that has found favorites already. The picker's own recovery would only
+// put new items back into the pool, below every favorite found so far
+function missingFromPicker() {
+  const saved = loadPickerProgress();
+  if (!saved || !(saved.favorites || []).length) return [];
+  const seen = new Set([].concat(saved.favorites, saved.evaluating || [], saved.current || [], saved.survived || [],
+    (saved.eliminated || []).map(e => e.id)));
+  return (state.data || []).filter(p => p && p.id && !seen.has(p.id));
+}
+
+function renderMissingItems() {
+  const panel = $('#missing-panel');
+  if (!panel) return;
+  const missing = missingFromRanking();
+  panel.hidden = missing.length === 0;
+  if (!missing.length) return;
+  const ds = getActiveDataset();
+  const noun = missing.length === 1 ? ds.itemNoun : ds.itemNounPlural;
+  $('#missing-summary').textContent = `${missing.length} new ${noun} not in your ranking yet: ${missing.map(p => itemTitle(p)).join(', ')}.`;
+  $('#btn-insert-missing').onclick = () => startInsertMissing().catch(err => { console.error(err); toast('Insert failed', { error: true }); });
+}
+
+// Binary-insert new items among the saved picker favorites with the pairwise prompt. One that ends up below
+// them all, or past a Top-N cutoff, joins the pool the picker is still working through
+async function insertMissingIntoPicker(missing) {
+  const saved = loadPickerProgress();
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const favorites = saved.favorites.slice();
+  const pool = [];
+  const prefer = makePrefer();
+  showScreen('screen-sorter');
+  for (let n = 0; n < missing.length; n++) {
+    const p = missing[n];
+    let lo = 0; let hi = favorites.length;
+    while (lo < hi) {
+      updateProgress((n / missing.length) * 100, `Inserting ${n + 1} of ${missing.length}`);
+      const mid = (lo + hi) >> 1;
+      const res = await prefer(p, idMap.get(favorites[mid]));
+      if (res === 'BACK') { lo = 0; hi = favorites.length; continue; } // start this item over
+      // A tie or skip keeps the favorite already found ahead
+      if (res === 1) hi = mid; else lo = mid + 1;
+    }
+    if (lo < favorites.length) favorites.splice(lo, 0, p.id);
+    else pool.push(p.id);
+  }
+  if (saved.topK && favorites.length > saved.topK) pool.push(...favorites.splice(saved.topK));
+  saved.favorites = favorites;
+  saved.survived = (saved.survived || []).concat(pool);
+  savePickerProgress(saved);
+  updateProgress(100);
+  dbg('picker:inserted-missing', { n: missing.length, favorites: favorites.length, pool: pool.length });
+}
+
+// Binary-insert only the new items into the finished ranking, reusing the insertion stack
+async function startInsertMissing() {
+  const missing = idsOf(missingFromRanking());
+  if (!missing.length) return;
+  const ranked = idsOf(state.sorter.result || []);
+  const rest = idsOf(state.sorter.rest || []);
+  const k = rest.length ? ranked.length : null; // top-N runs keep their cutoff
+  state.sorter.mode = 'insertion';
+  state.sorter.active = true;
+  state.sorter.result = null;
+  state.sorter.rest = null;
+  state.sorter.stack = {
+    mode: 'insertion',
+    result: ranked,
+    pending: missing.slice(),
+    i: 0,
+    lo: 0, hi: 0,
+    current: null,
+    probe: null,
+    topK: k,
+    cutoffProbe: false,
+    rest,
+    insertNew: missing, // finish suggests tiers for these from their neighbours
+  };
+  const n = ranked.length + missing.length;
+  state.sorter.totalComparisons = countUniqueCachePairs(state.sorter.cache) + missing.length * Math.ceil(Math.log2(n + 1));
+  state.sorter.undo = [];
+  saveState();
+  dbg('insertMissing', { missing, rankedLen: ranked.length });
+  showScreen('screen-sorter');
+  updateBackButton();
+  await continueSort();
+}
+
+// Put each new item into the tier of the nearest ranked neighbour above it (below it at the very top).
+// Recorded in the tier history, so Undo on the tier board takes the suggestions back
+function suggestTiersForNew(newIds, order) {
+  const newSet = new Set(newIds);
+  const tierOf = new Map();
+  Object.entries(state.tiers || {}).forEach(([tier, ids]) => (ids || []).forEach(id => tierOf.set(id, tier)));
+  const placed = Array.from(tierOf.values()).some(t => t !== UNPLACED_TIER);
+  if (!placed) return [];
+  const before = tierSnapshot();
+  const suggestions = [];
+  newIds.forEach(id => {
+    const i = order.indexOf(id);
+    if (i < 0) return;
+    const above = order.slice(0, i).reverse().find(x => tierOf.has(x) && !newSet.has(x));
+    const below = order.slice(i + 1).find(x => tierOf.has(x) && !newSet.has(x));
+    const tier = tierOf.get(above) || tierOf.get(below) || UNPLACED_TIER;
+    const list = state.tiers[tier] = state.tiers[tier] || [];
+    const at = above && tierOf.get(above) === tier ? list.indexOf(above) + 1 : (below ? list.indexOf(below) : list.length);
+    list.splice(Math.max(0, at), 0, id);
+    suggestions.push({ id, tier, above, below });
+  });
+  pushTierHistory(before);
+  return suggestions;
+}
+
+// --- Re-sort a slice of the finished ranking ---------------------------------
+let resortSelection = new Set(); // ids picked on the results screen
+let resortByHand = false;        // show a checkbox per row instead of a position range
+
+function makeResortCheckbox(p) {
+  const box = document.createElement('input');
+  box.type = 'checkbox'; box.className = 'resort-check';
+  box.checked = resortSelection.has(p.id);
+  box.setAttribute('aria-label', `Re-sort ${itemTitle(p)}`);
+  box.onchange = () => {
+    if (box.checked) resortSelection.add(p.id); else resortSelection.delete(p.id);
+    box.closest('li').classList.toggle('resort-selected', box.checked);
+    renderResortPanel();
+  };
+  return box;
+}
+
+function selectResortRange(from, to) {
+  const ids = idsOf(state.sorter.result || []);
+  const lo = Math.max(1, Math.min(from, to)); const hi = Math.min(ids.length, Math.max(from, to));
+  resortSelection = new Set(ids.slice(lo - 1, hi));
+  renderResults(state.sorter.result);
+}
+
+function renderResortPanel() {
+  const panel = $('#resort-panel');
+  if (!panel) return;
+  const ranked = idsOf(state.sorter.result || []);
+  panel.hidden = ranked.length < 3;
+  // Drop ids that are no longer ranked (e.g. after a new run)
+  resortSelection = new Set(ranked.filter(id => resortSelection.has(id)));
+  const positions = ranked.map((id, i) => (resortSelection.has(id) ? i + 1 : null)).filter(Boolean);
+  const from = $('#resort-from'); const to = $('#resort-to');
+  from.max = to.max = String(ranked.length);
+  $('#resort-summary').textContent = positions.length
+    ? `${positions.length} selected (positions ${positions[0]}–${positions[positions.length - 1]})`
+    : 'Nothing selected yet';
+  const enough = positions.length >= 2;
+  $('#btn-resort-pairwise').disabled = !enough;
+  $('#btn-resort-picker').disabled = !enough;
+}
+
+// Slice to re-sort: ids in their current order plus what's needed to splice them back
+function resortJob() {
+  const result = idsOf(state.sorter.result || []);
+  const ids = result.filter(id => resortSelection.has(id));
+  return { ids, result, rest: idsOf(state.sorter.rest || []) };
+}
+
+// Write the new slice order into the slice's old positions, and into the tier slots it occupied
+function applyResort(job, newIds) {
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const slice = new Set(job.ids);
+  // Items the session didn't order (picker finished early) keep their relative order after it
+  const order = newIds.filter(id => slice.has(id));
+  job.ids.forEach(id => { if (!order.includes(id)) order.push(id); });
+  let j = 0;
+  const full = job.result.map(id => (slice.has(id) ? order[j++] : id));
+  state.sorter.result = objsOf(full, idMap);
+  state.sorter.rest = job.rest.length ? objsOf(job.rest, idMap) : null;
+  // A pairwise re-sort runs as insertion; the ranking keeps the mode it came from (ratings, tie handling)
+  if (job.mode) state.sorter.mode = job.mode;
+  // Tier slots in board order; each tier keeps as many of the slice as it had
+  const slots = [];
+  tierIds().forEach(tier => (state.tiers[tier] || []).forEach((id, i) => { if (slice.has(id)) slots.push([tier, i]); }));
+  const placed = new Set(slots.map(([tier, i]) => state.tiers[tier][i]));
+  const placedOrder = order.filter(id => placed.has(id));
+  slots.forEach(([tier, i], k) => { state.tiers[tier][i] = placedOrder[k]; });
+  resortSelection = new Set();
+  dbg('resort:applied', { n: order.length, tierSlots: slots.length });
+}
+
+// Take answers among the slice out of the cache so they're asked again, and return them so a cancelled
+// re-sort can put them back. Only contradicted answers and those between neighbours in the current order
+// go, unless `askAll`: the rest still holds, but each adjacent pair can be swapped
+function takeSliceAnswers(ids, askAll = false) {
+  const { cache, ties } = state.sorter;
+  const taken = { cache: {}, ties: {} };
+  const take = (a, b) => [`${a}|${b}`, `${b}|${a}`].forEach(key => {
+    if (key in cache) { taken.cache[key] = cache[key]; delete cache[key]; }
+    if (ties[key]) { taken.ties[key] = true; delete ties[key]; }
+  });
+  if (askAll) {
+    for (let i = 0; i < ids.length; i++) for (let k = i + 1; k < ids.length; k++) take(ids[i], ids[k]);
+    return taken;
+  }
+  analyzePreferences(cache, ids).contradictions.forEach(([a, b]) => take(a, b));
+  ids.forEach((id, i) => { if (i) take(ids[i - 1], id); });
+  return taken;
+}
+
+// Leaving a pairwise re-sort early: the finished ranking, its mode and the answers taken out come back
+function cancelResort() {
+  const job = state.sorter.stack && state.sorter.stack.resort;
+  if (!job) return false;
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  Object.assign(state.sorter.cache, job.taken.cache);
+  Object.assign(state.sorter.ties, job.taken.ties);
+  state.sorter.result = objsOf(job.result, idMap);
+  state.sorter.rest = job.rest.length ? objsOf(job.rest, idMap) : null;
+  state.sorter.mode = job.mode || state.sorter.mode;
+  state.sorter.stack = null;
+  state.sorter.active = false;
+  saveState();
+  renderResults(state.sorter.result);
+  showScreen('screen-results');
+  return true;
+}
+
+async function startResortPairwise() {
+  const job = resortJob();
+  if (job.ids.length < 2) return;
+  job.mode = state.sorter.mode;
+  job.taken = takeSliceAnswers(job.ids, $('#resort-ask-all').checked);
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  // Binary insertion regardless of the pairwise algorithm setting: its stack carries the splice job
+  initSort(objsOf(job.ids, idMap));
+  state.sorter.stack.resort = job;
+  saveState();
+  showScreen('screen-sorter');
+  updateProgress(0);
+  updateBackButton();
+  await continueSort();
+}
+
+async function startResortPicker() {
+  const job = resortJob();
+  if (job.ids.length < 2) return;
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  // Own storage key so the main picker progress isn't touched
+  const storageKey = `${pickerStorageKey()}.resort`;
+  localStorage.removeItem(storageKey);
+  showScreen('screen-picker');
+  await initPickerMode(objsOf(job.ids, idMap), { storageKey });
+  window.pickerFinishCallback = (favorites) => {
+    applyResort(job, idsOf(favorites));
+    localStorage.removeItem(storageKey);
+    saveState();
+    renderResults(state.sorter.result);
+    showScreen('screen-results');
+  };
+  window.pickerCancelCallback = () => {
+    localStorage.removeItem(storageKey);
+    showScreen('screen-results');
+  };
+}
+
+function initResortPanel() {
+  const from = $('#resort-from'); const to = $('#resort-to');
+  if (!from || !to) return;
+  $('#btn-resort-range').onclick = () => {
+    const a = Number(from.value) || 1; const b = Number(to.value) || a;
+    selectResortRange(a, b);
+  };
+  $('#resort-by-hand').onchange = (e) => { resortByHand = e.target.checked; renderResults(state.sorter.result || []); };
+  $('#btn-resort-pairwise').onclick = () => startResortPairwise().catch(err => { console.error(err); toast('Re-sort failed', { error: true }); });
+  $('#btn-resort-picker').onclick = () => startResortPicker().catch(err => { console.error(err); toast('Re-sort failed', { error: true }); });
+}
+
+// --- Answer consistency (see preference-graph.js) ---------------------------
+function renderConsistency() {
+  const panel = $('#consistency-panel');
+  if (!panel) return;
+  const ids = idsOf(rankedAndRest());
+  const answered = countUniqueCachePairs(state.sorter.cache || {});
+  panel.hidden = answered === 0 || ids.length < 3;
+  if (panel.hidden) return;
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const name = (id) => (idMap.has(id) ? itemTitle(idMap.get(id)) : id);
+  const { cycles, contradictions, exact } = analyzePreferences(state.sorter.cache, ids);
+  const summary = $('#consistency-summary');
+  const list = $('#consistency-list');
+  const btn = $('#btn-reask');
+  list.innerHTML = '';
+  if (!cycles.length) {
+    summary.textContent = `Your ${answered} answers are consistent: no cycles.`;
+    btn.hidden = true;
+    return;
+  }
+  summary.textContent = `${cycles.length} ${cycles.length === 1 ? 'cycle' : 'cycles'} in your answers. ` +
+    `${exact ? 'Fewest' : 'A small set of'} answers that contradict the rest: ${contradictions.length}.`;
+  cycles.forEach(cycle => {
+    const li = document.createElement('li'); li.className = 'consistency-cycle';
+    li.textContent = cycle.concat(cycle[0]).map(name).join(' > ');
+    list.appendChild(li);
+  });
+  contradictions.forEach(([winner, loser]) => {
+    const li = document.createElement('li'); li.className = 'consistency-answer';
+    li.textContent = `You picked ${name(winner)} over ${name(loser)}`;
+    list.appendChild(li);
+  });
+  btn.hidden = false;
+  btn.textContent = `Re-ask ${contradictions.length === 1 ? 'this pair' : `these ${contradictions.length} pairs`}`;
+  btn.onclick = () => startReask(contradictions).catch(err => { console.error(err); toast('Re-ask failed', { error: true }); });
+}
+
+async function startReask(pairs) {
+  const cache = state.sorter.cache;
+  const rest = state.sorter.rest || [];
+  state.sorter.stack = {
+    mode: 'reask',
+    pairs: pairs.map(([a, b]) => [a, b]),
+    i: 0,
+    baseOrder: idsOf(rankedAndRest()), // tie-breaker for anything the answers leave open
+    rankedCount: (state.sorter.result || []).length,
+    hadRest: rest.length > 0,
+  };
+  // Forget the contradicting answers so makePrefer asks them again
+  pairs.forEach(([a, b]) => {
+    delete cache[`${a}|${b}`]; delete cache[`${b}|${a}`];
+    delete state.sorter.ties[`${a}|${b}`]; delete state.sorter.ties[`${b}|${a}`];
+  });
+  state.sorter.active = true;
+  state.sorter.result = null;
+  state.sorter.rest = null;
+  state.sorter.undo = [];
+  saveState();
+  showScreen('screen-sorter');
+  updateBackButton();
+  await continueReask();
+}
+
+async function continueReask() {
+  const prefer = makePrefer();
+  let idMap = new Map(state.data.map(p => [p.id, p]));
+  let st = state.sorter.stack;
+  while (st && st.i < st.pairs.length) {
+    const [x, y] = st.pairs[st.i];
+    const a = idMap.get(x); const b = idMap.get(y);
+    if (!a || !b) { st.i++; continue; }
+    updateProgress((st.i / st.pairs.length) * 100, `Re-asking ${st.i + 1} of ${st.pairs.length}`);
+
+    // Take snapshot BEFORE asking the question (this is the state we can restore to)
+    pushUndoSnapshot();
+    try { renderLiveRanking([x, y]); } catch {}
+    const res = await prefer(a, b);
+    if (res === 'BACK') {
+      const ok = restoreFromUndo();
+      if (!ok) return; // nothing to undo
+      st = state.sorter.stack;
+      idMap = new Map(state.data.map(p => [p.id, p]));
+      continue;
+    }
+    // Skip leaves the pair unanswered; the graph then simply has no edge between them
+    st.i++;
+    saveState();
+    updateBackButton();
+    dbg('reask:answered', { a: x, b: y, res, i: st.i, of: st.pairs.length });
+  }
+
+  // Recompute the ranking from the (now hopefully acyclic) answers; rating modes refit their ratings instead
+  let order;
+  if (state.sorter.mode === 'bt') order = reaskBT(st.pairs);
+  else if (state.sorter.mode === 'elo') order = reaskElo();
+  else order = preferenceOrder(state.sorter.cache, st.baseOrder);
+  const ranked = st.hadRest ? order.slice(0, st.rankedCount) : order;
+  state.sorter.result = objsOf(ranked, idMap);
+  state.sorter.rest = st.hadRest ? objsOf(order.slice(st.rankedCount), idMap) : null;
+  state.sorter.active = false;
+  state.sorter.stack = null;
+  updateBackButton();
+  updateProgress(100);
+  saveState();
+  renderResults(state.sorter.result);
+  showScreen('screen-results');
+  const remaining = analyzePreferences(state.sorter.cache, order).cycles.length;
+  if (remaining) toast(`Ranking updated; ${remaining} ${remaining === 1 ? 'cycle remains' : 'cycles remain'}`);
+  else toast('Ranking updated: your answers are consistent', { ok: true });
+}
+
+// Bradley–Terry: the re-asked pairs' old comparisons give way to the new answers (none if skipped)
+function reaskBT(pairs) {
+  const bt = state.sorter.bt;
+  const asked = new Set(pairs.map(([a, b]) => `${a}|${b}`));
+  const isAsked = ([a, b]) => asked.has(`${a}|${b}`) || asked.has(`${b}|${a}`);
+  bt.comparisons = bt.comparisons.filter(c => !isAsked(c));
+  pairs.forEach(([a, b]) => {
+    const res = state.sorter.cache[`${a}|${b}`];
+    if (res != null) bt.comparisons.push([a, b, res === 0 ? 0.5 : (res > 0 ? 1 : 0)]);
+  });
+  bt.pairsDone = bt.comparisons.length;
+  refreshBT();
+  return btOrderedIds(bt);
+}
+
+// Elo: replay every answer from fresh ratings. The cache keeps answers in the order they were
+// given, so this repeats the original run with the re-asked pairs moved to the end
+function reaskElo() {
+  const elo = state.sorter.elo;
+  ensureRatingPlayers(elo);
+  const engine = getRatingEngine(elo.engine);
+  const ids = Object.keys(elo.ratings);
+  ids.forEach(id => { elo.players[id] = engine.create(); syncRating(elo, id); elo.history[id] = [Math.round(elo.ratings[id])]; });
+  const seen = new Set();
+  Object.entries(state.sorter.cache).forEach(([k, res]) => {
+    const [a, b] = k.split('|');
+    if (seen.has(`${b}|${a}`) || !elo.players[a] || !elo.players[b]) return;
+    seen.add(k);
+    const score = res === 0 ? 0.5 : (res > 0 ? 1 : 0);
+    [elo.players[a], elo.players[b]] = engine.update(elo.players[a], elo.players[b], score, { kFactor: elo.kFactor });
+    [a, b].forEach(id => {
+      syncRating(elo, id);
+      elo.history[id].push(Math.round(elo.ratings[id])); if (elo.history[id].length > 10) elo.history[id].shift();
+    });
+  });
+  elo.pairsDone = seen.size;
+  return ids.sort((a, b) => elo.ratings[b] - elo.ratings[a]);
 }
 
 // Restart but keep loaded data: clears sorter and returns to welcome so user can choose mode again
 function restartKeepData() {
-  // preserve state.data and tiers but remove sorter progress
+  // preserve state.data and the tier board setup but remove sorter progress and placements
   const savedData = Array.isArray(state.data) ? state.data : [];
+  const { tierSchema, tierLayout, tierTitle, pngOptions } = state;
   state = defaultState();
   state.data = savedData;
-  state.tiers = { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [] };
+  Object.assign(state, { tierSchema, tierLayout, tierTitle, pngOptions });
+  state.tiers = emptyTiers();
   saveState();
   showScreen('screen-welcome');
 }
@@ -1068,24 +1928,88 @@ function restartKeepData() {
   if (btnRestart) btnRestart.onclick = () => { if (confirm('Restart sorting with a fresh run?')) restartKeepData(); };
 
 // --- Tier Board -------------------------------------------------------------
-const TIER_ORDER = ['SS','S','A','B','C','D','F','Unplaced'];
+const TIER_LAYOUTS = ['columns', 'rows'];
+
+// --- Tier board history -------------------------------------------------------
+const TIER_HISTORY_MAX = 50;
+
+function tierSnapshot() {
+  return JSON.parse(JSON.stringify({ tiers: state.tiers, tierSchema: state.tierSchema }));
+}
+
+// Call with the snapshot taken before an edit; no-op edits (a drag dropped in place) are not recorded
+function pushTierHistory(before) {
+  if (JSON.stringify(before) === JSON.stringify(tierSnapshot())) return;
+  const h = state.tierHistory;
+  h.past.push(before);
+  if (h.past.length > TIER_HISTORY_MAX) h.past.splice(0, h.past.length - TIER_HISTORY_MAX);
+  h.future = [];
+  updateTierHistoryButtons();
+}
+
+function stepTierHistory(from, to, emptyMessage) {
+  if (!from.length) { toast(emptyMessage); return false; }
+  to.push(tierSnapshot());
+  const snap = from.pop();
+  state.tierSchema = snap.tierSchema;
+  state.tiers = reconcileTiers(snap.tiers, snap.tierSchema);
+  saveState();
+  buildTierBoard();
+  return true;
+}
+
+function undoTierEdit() { return stepTierHistory(state.tierHistory.past, state.tierHistory.future, 'Nothing to undo'); }
+function redoTierEdit() { return stepTierHistory(state.tierHistory.future, state.tierHistory.past, 'Nothing to redo'); }
+
+function updateTierHistoryButtons() {
+  const undo = $('#btn-tier-undo'); if (undo) undo.disabled = !state.tierHistory.past.length;
+  const redo = $('#btn-tier-redo'); if (redo) redo.disabled = !state.tierHistory.future.length;
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) on the tier screen; text fields keep their own undo
+function onTierHistoryKey(e) {
+  if ($('#screen-tier').hidden || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); undoTierEdit(); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redoTierEdit(); }
+}
+
+// Title bar above the tiers; it lives inside the board so PNG exports include it
+function renderTierTitle(board = $('#tier-board')) {
+  let bar = board.querySelector('.tier-board-title');
+  const title = (state.tierTitle || '').trim();
+  if (!title) { if (bar) bar.remove(); return; }
+  if (!bar) { bar = document.createElement('h3'); bar.className = 'tier-board-title'; board.prepend(bar); }
+  bar.textContent = title;
+}
+
 function buildTierBoard() {
   const board = $('#tier-board');
   board.innerHTML = '';
+  const order = tierIds();
+  board.style.setProperty('--tier-columns', order.length);
+  board.classList.toggle('rows', state.tierLayout === 'rows');
+  const layoutSelect = $('#tier-layout'); if (layoutSelect) layoutSelect.value = state.tierLayout;
+  const titleInput = $('#tier-title-input'); if (titleInput) titleInput.value = state.tierTitle || '';
   const lists = {};
-  TIER_ORDER.forEach(tier => {
+  order.forEach(tier => {
     const col = document.createElement('section'); col.className = 'tier-col'; col.dataset.tier = tier;
-    const header = document.createElement('header'); header.innerHTML = `<span>${tier}</span><span aria-hidden="true"></span>`;
+    const header = document.createElement('header'); header.innerHTML = '<span></span><span aria-hidden="true"></span>';
+    header.firstChild.textContent = tierLabel(tier);
+    const color = tierColor(tier);
+    if (color) { header.style.background = color; header.classList.add('tier-colored'); }
     const list = document.createElement('div'); list.className = 'list'; list.id = `tier-${tier}`;
     col.append(header, list);
     board.appendChild(col);
     lists[tier] = list;
   });
+  renderTierTitle(board);
 
   // Fill items from state.tiers; for missing tiers, use Unplaced
   const idMap = new Map(state.data.map(p => [p.id, p]));
   const seen = new Set();
-  TIER_ORDER.forEach(tier => {
+  order.forEach(tier => {
     state.tiers[tier] = state.tiers[tier] || [];
     state.tiers[tier].forEach(id => {
       if (!idMap.has(id)) return;
@@ -1093,16 +2017,16 @@ function buildTierBoard() {
       lists[tier].appendChild(makeTierItem(idMap.get(id)));
     });
   });
-  // Add all not-seen to Unplaced respecting ranking
-  state.sorter.result.forEach(p => {
-    if (!seen.has(p.id)) lists['Unplaced'].appendChild(makeTierItem(p));
+  // Add all not-seen to Unplaced respecting ranking (unranked top-N leftovers last)
+  rankedAndRest().forEach(p => {
+    if (!seen.has(p.id)) lists[UNPLACED_TIER].appendChild(makeTierItem(p));
   });
 
   // Init Sortable groups
-  TIER_ORDER.forEach(tier => {
+  order.forEach(tier => {
     new Sortable(lists[tier], {
       group: 'tiers', animation: 150, ghostClass: 'drag-ghost',
-      onEnd: () => { captureTiersFromDOM(); saveState(); }
+      onEnd: () => { const before = tierSnapshot(); captureTiersFromDOM(); pushTierHistory(before); saveState(); }
     });
   });
 
@@ -1114,50 +2038,67 @@ function buildTierBoard() {
       el.style.display = name.includes(q) ? '' : 'none';
     });
   };
+  renderTierEditor();
+  updateTierHistoryButtons();
 }
 
 // --- Tier Cutoffs Wizard ---------------------------------------------------
-const CUTOFF_TIERS = ['SS','S','A','B','C','D','E','F'];
-let cutState = null; // { rankIds: string[], pos: 0.., chosen: {SS:number,...}, cursor: 0 }
+let cutState = null; // { rankIds: string[], tiers: schema ids, pos: 0.., chosen: {tierId:number,...}, cursor: 0 }
 
-function startCutoffs() {
+function startCutoffs({ auto = false } = {}) {
   if (!state.sorter.result || !state.sorter.result.length) {
     toast('No ranking available', { error: true });
     return;
   }
   const rankIds = state.sorter.result.map(p => p.id);
-  cutState = { rankIds, pos: 0, chosen: {}, cursor: 0 };
+  cutState = { rankIds, tiers: state.tierSchema.map(t => t.id), pos: 0, chosen: {}, cursor: 0 };
   showScreen('screen-cutoffs');
-  renderCutoffs();
+  renderAutoTier();
+  if (auto) suggestCutoffs();
+  else renderCutoffs();
 }
 
 function renderCutoffs() {
   if (!cutState) return;
-  const tier = CUTOFF_TIERS[cutState.pos];
+  const tier = cutState.tiers[cutState.pos];
   const remaining = cutState.rankIds.length - cutState.cursor;
-  $('#cutoffs-tier-label').textContent = `Tier ${tier}: count`;
+  $('#cutoffs-tier-label').textContent = `Tier ${tierLabel(tier)}: count`;
   $('#cutoffs-remaining').textContent = `of ${remaining} remaining`;
   const input = $('#cutoffs-count');
   input.min = 0; input.max = remaining; input.value = String(Math.max(0, Math.min(remaining, cutState.chosen[tier] ?? 0)));
-  // preview list highlighting the next segment
+  // preview list: a colored tag where each tier set so far starts, the current segment in bold
+  const firstOf = new Map();
+  let at = 0;
+  cutState.tiers.slice(0, cutState.pos + 1).forEach((t, i) => {
+    const n = i === cutState.pos ? Number(input.value) : (cutState.chosen[t] || 0);
+    if (n > 0) firstOf.set(at, t);
+    at += n;
+  });
   const ol = $('#cutoffs-list'); ol.innerHTML = '';
   const idMap = new Map(state.data.map(p => [p.id, p]));
   cutState.rankIds.forEach((id, idx) => {
     const li = document.createElement('li'); li.textContent = idMap.get(id)?.name || id;
     if (idx >= cutState.cursor && idx < cutState.cursor + Number(input.value)) li.style.fontWeight = '700';
+    if (firstOf.has(idx)) {
+      const tag = document.createElement('span'); tag.className = 'cutoff-tier';
+      tag.textContent = tierLabel(firstOf.get(idx));
+      tag.style.background = tierColor(firstOf.get(idx)) || '';
+      li.classList.add('cutoff-start');
+      li.prepend(tag);
+    }
     ol.appendChild(li);
   });
   // status
   const status = $('#cutoffs-status');
-  status.textContent = `Setting ${tier}. Completed: ${CUTOFF_TIERS.slice(0, cutState.pos).map(t=>`${t}:${cutState.chosen[t]||0}`).join(', ') || 'none'}`;
+  status.textContent = `Setting ${tierLabel(tier)}. Completed: ${cutState.tiers.slice(0, cutState.pos).map(t=>`${tierLabel(t)}:${cutState.chosen[t]||0}`).join(', ') || 'none'}`;
   // buttons
   $('#btn-cutoffs-prev').disabled = cutState.pos === 0;
-  $('#btn-cutoffs-next').hidden = cutState.pos >= CUTOFF_TIERS.length - 1;
-  $('#btn-cutoffs-apply').hidden = !(cutState.pos >= CUTOFF_TIERS.length - 1);
+  $('#btn-cutoffs-next').hidden = cutState.pos >= cutState.tiers.length - 1;
+  $('#btn-cutoffs-apply').hidden = !(cutState.pos >= cutState.tiers.length - 1);
 }
 
 function applyCut(value) {
-  const tier = CUTOFF_TIERS[cutState.pos];
+  const tier = cutState.tiers[cutState.pos];
   const remaining = cutState.rankIds.length - cutState.cursor;
   const count = Math.max(0, Math.min(remaining, Number(value||0)|0));
   cutState.chosen[tier] = count;
@@ -1166,34 +2107,102 @@ function applyCut(value) {
 function nextCut() {
   const input = $('#cutoffs-count');
   applyCut(input.value);
-  const tier = CUTOFF_TIERS[cutState.pos];
+  const tier = cutState.tiers[cutState.pos];
   cutState.cursor += cutState.chosen[tier] || 0;
-  if (cutState.pos < CUTOFF_TIERS.length - 1) cutState.pos++;
+  if (cutState.pos < cutState.tiers.length - 1) cutState.pos++;
   renderCutoffs();
 }
 
 function prevCut() {
   if (cutState.pos === 0) return;
   // rewind one tier
-  const prevTier = CUTOFF_TIERS[cutState.pos - 1];
+  const prevTier = cutState.tiers[cutState.pos - 1];
   cutState.pos--;
   cutState.cursor -= cutState.chosen[prevTier] || 0;
   renderCutoffs();
 }
 
+// --- Auto-tier: propose every cutoff at once -----------------------------------
+// Ratings behind the ranking, when the sorter produced them (Elo / Bradley–Terry)
+function rankingRatings(ids) {
+  let get = null;
+  if (state.sorter.mode === 'elo' && state.sorter.elo) get = (id) => state.sorter.elo.ratings?.[id];
+  else if (state.sorter.mode === 'bt' && state.sorter.bt) get = (id) => state.sorter.bt.ratings?.[id]?.mean;
+  if (!get) return null;
+  const values = ids.map(get);
+  return values.every(v => Number.isFinite(v)) ? values : null;
+}
+
+// Sizes of the runs of tied items in ranking order
+function tieGroupSizes(ids) {
+  const sizes = [];
+  ids.forEach((id, i) => {
+    const prev = ids[i - 1];
+    const tied = i > 0 && !isRatingMode() && (state.sorter.ties[`${prev}|${id}`] || state.sorter.ties[`${id}|${prev}`]);
+    if (tied) sizes[sizes.length - 1]++;
+    else sizes.push(1);
+  });
+  return sizes;
+}
+
+function tierProportions(k) {
+  const saved = state.tierProportions;
+  return Array.isArray(saved) && saved.length === k ? saved : defaultTierProportions(k);
+}
+
+function renderAutoTier() {
+  const method = $('#auto-tier-method');
+  if (!method || !cutState) return;
+  const hasRatings = !!rankingRatings(cutState.rankIds);
+  method.querySelector('option[value="breaks"]').disabled = !hasRatings;
+  if (!hasRatings) method.value = 'proportions';
+  else if (!method.dataset.touched) method.value = 'breaks';
+  $('#auto-tier-proportions').value = tierProportions(cutState.tiers.length).join(', ');
+  $('#auto-tier-proportions-row').hidden = method.value !== 'proportions';
+}
+
+// Fill every tier's count from the chosen method and jump to the last tier so Apply is one click away
+function suggestCutoffs() {
+  if (!cutState) return;
+  const k = cutState.tiers.length;
+  const ratings = $('#auto-tier-method').value === 'breaks' ? rankingRatings(cutState.rankIds) : null;
+  const counts = ratings
+    ? naturalBreakCounts(ratings, k)
+    : proportionalCounts(tieGroupSizes(cutState.rankIds), tierProportions(k));
+  cutState.tiers.forEach((t, i) => { cutState.chosen[t] = counts[i]; });
+  cutState.pos = k - 1;
+  cutState.cursor = counts.slice(0, -1).reduce((a, b) => a + b, 0);
+  renderCutoffs();
+  dbg('cutoffs:auto', { method: ratings ? 'breaks' : 'proportions', counts });
+}
+
+function onProportionsInput(input) {
+  const k = cutState ? cutState.tiers.length : 0;
+  const values = input.value.split(/[\s,;]+/).filter(Boolean).map(Number);
+  const valid = values.length === k && values.every(v => Number.isFinite(v) && v >= 0) && values.some(v => v > 0);
+  input.setAttribute('aria-invalid', String(!valid));
+  input.title = valid ? '' : `Enter ${k} non-negative numbers, top tier first`;
+  if (!valid) return;
+  state.tierProportions = values;
+  saveState();
+  suggestCutoffs();
+}
+
 function applyCutoffsToTiers() {
   // Build tiers from chosen counts; leftover go to Unplaced initially
   const idMap = new Map(state.data.map(p => [p.id, p]));
   const ids = cutState.rankIds.slice();
-  const tiers = { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [] };
+  const before = tierSnapshot();
+  const tiers = emptyTiers();
   let cursor = 0;
-  CUTOFF_TIERS.forEach(t => {
+  cutState.tiers.forEach(t => {
     const n = Math.max(0, Math.min(ids.length - cursor, cutState.chosen[t] || 0));
     tiers[t] = ids.slice(cursor, cursor + n);
     cursor += n;
   });
-  tiers.Unplaced = ids.slice(cursor);
+  tiers[UNPLACED_TIER] = ids.slice(cursor).concat((state.sorter.rest || []).map(p => p.id));
   state.tiers = tiers;
+  pushTierHistory(before);
   saveState();
   buildTierBoard();
   showScreen('screen-tier');
@@ -1227,67 +2236,225 @@ function makeTierItem(person) {
   el.dataset.name = person.name || '';
   el.title = person.name || '';
   el.setAttribute('aria-label', person.name || '');
-  // make focusable for keyboard users so overlay can appear on focus
+  // make focusable for keyboard users so overlay can appear on focus (and tier-keyboard.js can move it)
   el.tabIndex = 0;
+  el.setAttribute('role', 'button');
+  el.setAttribute('aria-describedby', 'tier-keyboard-hint');
 
   // caption element that will pop out below the image on hover
-  let captionText = person.name || '';
-//   if (person.number != null) {
-//     if (person.id === 'cleveland') captionText += ' — #22 & #24';
-//     else if (person.id === 'trump') captionText += ' — #45 & #47';
-//     else captionText += ` — #${person.number}`;
-//   }
+  let captionText = itemTitle(person) || '';
   const caption = document.createElement('div');
   caption.className = 'tier-caption';
   caption.textContent = captionText;
 
   el.append(imgWrap, caption);
+  renderTileNote(el);
+  el.ondblclick = () => openNoteEditor(person.id);
+  el.oncontextmenu = (e) => { e.preventDefault(); openNoteEditor(person.id); };
   return el;
 }
 
+// --- Item notes -----------------------------------------------------------------
+const NOTE_MAX = 280;
+let noteTarget = null; // id whose note is open in the editor
+
+function itemNote(id) {
+  return (state.notes && state.notes[id]) || '';
+}
+
+function sanitizeNotes(notes, ids = null) {
+  const out = {};
+  Object.entries(notes && typeof notes === 'object' ? notes : {}).forEach(([id, text]) => {
+    if (typeof text !== 'string' || !text.trim() || (ids && !ids.has(id))) return;
+    out[id] = text.trim().slice(0, NOTE_MAX);
+  });
+  return out;
+}
+
+// Note indicator and caption line of one tile, updated in place
+function renderTileNote(el) {
+  const note = itemNote(el.dataset.id);
+  const name = el.dataset.name || '';
+  el.classList.toggle('has-note', !!note);
+  let badge = el.querySelector('.tier-note-badge');
+  if (note && !badge) {
+    badge = document.createElement('span'); badge.className = 'tier-note-badge';
+    badge.setAttribute('aria-hidden', 'true'); badge.textContent = '✎';
+    el.appendChild(badge);
+  } else if (!note && badge) badge.remove();
+  let line = el.querySelector('.tier-caption-note');
+  if (note && !line) {
+    line = document.createElement('div'); line.className = 'tier-caption-note';
+    el.querySelector('.tier-caption').appendChild(line);
+  }
+  if (line) { if (note) line.textContent = note; else line.remove(); }
+  el.title = note ? `${name}\n${note}` : name;
+  el.setAttribute('aria-label', note ? `${name}. Note: ${note}` : name);
+}
+
+function openNoteEditor(id) {
+  const dlg = $('#modal-note');
+  if (!dlg) return;
+  noteTarget = id;
+  const person = state.data.find(p => p.id === id);
+  $('#note-title').textContent = `Note for ${person ? itemTitle(person) : id}`;
+  $('#note-text').value = itemNote(id);
+  $('#btn-note-remove').hidden = !itemNote(id);
+  dlg.returnValue = ''; // Escape keeps the previous value otherwise
+  dlg.showModal();
+}
+
+function onNoteDialogClose() {
+  const dlg = $('#modal-note');
+  const id = noteTarget;
+  noteTarget = null;
+  if (!id || (dlg.returnValue !== 'save' && dlg.returnValue !== 'remove')) return;
+  const text = dlg.returnValue === 'save' ? $('#note-text').value.trim().slice(0, NOTE_MAX) : '';
+  state.notes = state.notes || {};
+  if (text) state.notes[id] = text; else delete state.notes[id];
+  saveState();
+  $$('.tier-item').filter(el => el.dataset.id === id).forEach(renderTileNote);
+}
+
+// Board contents for the canvas renderer (tier-render.js), in on-screen order; an empty Unplaced is left out
+function tierRenderModel(options) {
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const tiers = tierIds().map(tier => ({
+    id: tier,
+    label: tierLabel(tier),
+    color: tierColor(tier),
+    items: $$(`#tier-${tier} .tier-item`).map(el => idMap.get(el.dataset.id)).filter(Boolean)
+      .map(p => ({ id: p.id, name: itemTitle(p), images: p._resolved ? [p._resolved] : resolveImageSrc(p) })),
+  })).filter(t => t.id !== UNPLACED_TIER || t.items.length);
+  // "Name (Tier): note" lines in board order
+  const notes = options.notes
+    ? tiers.flatMap(t => t.items.filter(item => itemNote(item.id)).map(item => `${item.name} (${t.label}): ${itemNote(item.id)}`))
+    : [];
+  return { title: (state.tierTitle || '').trim(), layout: state.tierLayout, tiers, notes };
+}
+
 function captureTiersFromDOM() {
-  const obj = {}; TIER_ORDER.forEach(tier => {
+  const obj = {}; tierIds().forEach(tier => {
     obj[tier] = $$('#tier-' + tier + ' .tier-item').map(el => el.dataset.id);
   });
   state.tiers = obj;
 }
 
+// PNG options live in state.pngOptions; every control carries data-png-option="<key>"
+function readPngOptions() {
+  const opts = { ...state.pngOptions };
+  $$('[data-png-option]').forEach(el => {
+    const key = el.dataset.pngOption;
+    opts[key] = el.type === 'checkbox' ? el.checked : el.type === 'number' ? Number(el.value) : el.value;
+  });
+  state.pngOptions = normalizeRenderOptions(opts);
+  saveState();
+  return state.pngOptions;
+}
+
+function renderPngOptions() {
+  $$('[data-png-option]').forEach(el => {
+    const value = state.pngOptions[el.dataset.pngOption];
+    if (el.type === 'checkbox') el.checked = !!value; else el.value = String(value);
+  });
+}
+
+// Download name for image and text exports: the tier list title, else the dataset's export name
+function exportFileStem() {
+  const title = (state.tierTitle || '').trim();
+  return title ? slugifyId(title) : getActiveDataset().exportName;
+}
+
 async function exportPNG() {
-  const el = $('#tier-board');
-  const scale = 2;
-  const backgroundColor = $('#png-transparent').checked ? null : '#ffffff';
-  // If Unplaced column exists but is empty, hide it for the export so it's not included in PNG.
-  const unplacedCol = el.querySelector('.tier-col[data-tier="Unplaced"]');
-  let prevDisplay = null;
-  let hid = false;
+  const options = readPngOptions();
+  const btn = $('#btn-export-png');
+  btn.disabled = true;
   try {
-    if (unplacedCol) {
-      const list = unplacedCol.querySelector('.list');
-      if (!list || list.children.length === 0) {
-        prevDisplay = unplacedCol.style.display;
-        unplacedCol.style.display = 'none';
-        hid = true;
-      }
-    }
-    const canvas = await html2canvas(el, { scale, backgroundColor, useCORS: true });
+    const canvas = await renderTierCanvas(tierRenderModel(options), options);
     canvas.toBlob(blob => {
-      download('presidential_tiers.png', blob, 'image/png');
-    });
+      if (!blob) { toast('Export failed', { error: true }); return; }
+      download(`${exportFileStem()}.png`, blob, 'image/png');
+    }, 'image/png');
+  } catch (e) {
+    console.error('exportPNG failed', e);
+    toast('Export failed', { error: true });
   } finally {
-    if (hid && unplacedCol) {
-      unplacedCol.style.display = prevDisplay || '';
-    }
+    btn.disabled = false;
+  }
+}
+
+// Vector export: same renderer and options as the PNG (scale doesn't apply)
+async function exportSVG() {
+  const options = readPngOptions();
+  try {
+    const svg = await renderTierSVG(tierRenderModel(options), options);
+    download(`${exportFileStem()}.svg`, svg, 'image/svg+xml');
+  } catch (e) {
+    console.error('exportSVG failed', e);
+    toast('Export failed', { error: true });
   }
 }
 
+// PDF through the browser's print dialog ("Save as PDF"): the SVG goes into #print-area and the print
+// stylesheet hides everything else while it is printed
+async function printTierList() {
+  const options = readPngOptions();
+  const area = $('#print-area');
+  try {
+    const svg = await renderTierSVG(tierRenderModel(options), options);
+    area.innerHTML = svg.replace(/^<\?xml[^>]*>\s*/, '');
+  } catch (e) {
+    console.error('printTierList failed', e);
+    toast('Print failed', { error: true });
+    return;
+  }
+  document.body.classList.add('printing-tiers');
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-tiers');
+    area.innerHTML = '';
+  }, { once: true });
+  window.print();
+}
+
+// Ranking plus tiers for the text formats (text-export.js). Tier contents follow state.tiers; ranked items
+// that aren't on the board yet count as Unplaced, and empty tiers are left out of the grouped formats
+function textExportModel() {
+  const ranked = state.sorter.result || [];
+  const rest = state.sorter.rest || [];
+  const ranks = resultRanks(ranked);
+  const tierOf = new Map();
+  tierIds().forEach(tier => (state.tiers[tier] || []).forEach(id => tierOf.set(id, tier)));
+  const rows = ranked.concat(rest).map((p, i) => ({
+    rank: i < ranked.length ? ranks[i] : null,
+    id: p.id,
+    name: itemTitle(p),
+    tier: tierLabel(tierOf.get(p.id) || UNPLACED_TIER),
+    rating: rankingRatings([p.id])?.[0] ?? null,
+    note: itemNote(p.id),
+  }));
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const tiers = tierIds().map(tier => {
+    const onBoard = (state.tiers[tier] || []).map(id => byId.get(id)).filter(Boolean);
+    const extra = tier === UNPLACED_TIER ? rows.filter(r => !tierOf.has(r.id)) : [];
+    return { label: tierLabel(tier), color: tierColor(tier), rows: onBoard.concat(extra) };
+  }).filter(t => t.rows.length);
+  const title = (state.tierTitle || '').trim() || getActiveDataset().title;
+  return { title, rows, tiers };
+}
+
 function exportJSON() {
   const payload = {
+    dataset: getActiveDataset().id,
     ranking: state.sorter.result.map(p => p.id),
+    unranked: (state.sorter.rest || []).map(p => p.id),
+    ties: isRatingMode() ? {} : state.sorter.ties,
+    tierSchema: state.tierSchema,
     tiers: state.tiers,
+    notes: state.notes,
     dataVersion: state.dataVersion || 1,
     createdAt: new Date().toISOString(),
   };
-  download('presidential_tiers.json', JSON.stringify(payload, null, 2));
+  download(`${getActiveDataset().exportName}.json`, JSON.stringify(payload, null, 2));
 }
 
 async function importJSON(file) {
@@ -1299,10 +2466,21 @@ async function importJSON(file) {
     const ids = new Set(state.data.map(p => p.id));
     Object.values(data.tiers).flat().forEach(id => { if (!ids.has(id)) throw new Error('Unknown id in file'); });
 
-    state.tiers = { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [], ...data.tiers };
+    const before = tierSnapshot();
+    state.tierSchema = normalizeTierSchema(data.tierSchema);
+    state.tiers = reconcileTiers(data.tiers, state.tierSchema);
+    pushTierHistory(before);
+    if (data.notes) state.notes = sanitizeNotes(data.notes, ids);
     if (Array.isArray(data.ranking)) {
       const idMap = new Map(state.data.map(p => [p.id, p]));
       state.sorter.result = data.ranking.map(id => idMap.get(id)).filter(Boolean);
+      state.sorter.rest = Array.isArray(data.unranked) ? data.unranked.map(id => idMap.get(id)).filter(Boolean) : null;
+      // Exports from before ties were saved count every neighbour as a strict preference
+      state.sorter.ties = {};
+      Object.keys(data.ties || {}).forEach(k => {
+        const [a, b] = k.split('|');
+        if (data.ties[k] && ids.has(a) && ids.has(b)) state.sorter.ties[k] = true;
+      });
     }
     saveState();
     buildTierBoard();
@@ -1313,25 +2491,112 @@ async function importJSON(file) {
   }
 }
 
-function copyShareLink() {
+// Links use the compact binary format (share-codec.js); answers can be left out for a shorter link
+async function buildShareUrl() {
   const payload = {
-    version: APP_VERSION,
+    dataset: getActiveDataset().id,
     seed: state.seed,
-    timestamp: Date.now(),
     choices: state.sorter.cache,
     ties: state.sorter.ties,
     ranking: state.sorter.result?.map(p => p.id) || null,
+    unranked: state.sorter.rest?.map(p => p.id) || null,
+    tierSchema: state.tierSchema,
     tiers: state.tiers,
+    notes: state.notes,
+    title: (state.tierTitle || '').trim(),
   };
-  const hash = '#state=' + base64urlEncode(payload);
-  const url = location.origin + location.pathname + location.search + hash;
-  navigator.clipboard.writeText(url).then(() => toast('Link copied', { ok: true })).catch(() => toast('Copy failed', { error: true }));
+  const answers = $('#share-answers')?.checked !== false;
+  const hash = '#s=' + await encodeSharePayload(payload, state.data.map(p => p.id), { answers });
+  return location.origin + location.pathname + location.search + hash;
+}
+
+async function copyShareLink() {
+  let url;
+  try {
+    url = await buildShareUrl();
+  } catch (e) {
+    console.error('copyShareLink failed', e);
+    toast('Could not build the link', { error: true });
+    return;
+  }
+  navigator.clipboard.writeText(url).then(() => toast(`Link copied (${url.length} characters)`, { ok: true })).catch(() => toast('Copy failed', { error: true }));
+}
+
+// --- Share link QR code (qr.js) ----------------------------------------------------
+let qrUrl = null; // link shown in the open QR dialog
+
+async function showShareQr() {
+  try {
+    qrUrl = await buildShareUrl();
+  } catch (e) {
+    console.error('showShareQr failed', e);
+    toast('Could not build the link', { error: true });
+    return;
+  }
+  renderShareQr();
+  $('#modal-qr').showModal();
+}
+
+function renderShareQr() {
+  const wrap = $('#qr-canvas-wrap');
+  const info = $('#qr-info');
+  const level = $('#qr-level').value;
+  wrap.innerHTML = '';
+  try {
+    const qr = encodeQr(qrUrl, level);
+    const canvas = qrToCanvas(qr, { scale: Math.max(4, Math.ceil(640 / (qr.size + 8))) });
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'QR code of the share link');
+    wrap.appendChild(canvas);
+    info.textContent = `Version ${qr.version} (${qr.size}×${qr.size} modules), ${qrUrl.length} characters.`;
+    $('#btn-qr-download').disabled = false;
+  } catch (e) {
+    if (!(e instanceof QrTooLargeError)) throw e;
+    info.textContent = `This link is too long for a QR code: ${e.bytes} bytes, and a version 40 code holds at most `
+      + `${qrCapacity(level)} at this error-correction level. Try a lower level, untick "with answers", or use Copy Share Link.`;
+    $('#btn-qr-download').disabled = true;
+  }
+}
+
+function downloadShareQr() {
+  const canvas = $('#qr-canvas-wrap canvas');
+  if (!canvas) return;
+  canvas.toBlob(blob => {
+    if (!blob) { toast('Export failed', { error: true }); return; }
+    download(`${exportFileStem()}-qr.png`, blob, 'image/png');
+  }, 'image/png');
 }
 
-function tryLoadShareFromHash() {
-  if (!location.hash.startsWith('#state=')) return null;
-  const decoded = base64urlDecode(location.hash.substring('#state='.length))
-  return decoded;
+function initShareQr() {
+  const select = $('#qr-level');
+  Object.entries(QR_EC_LEVELS).forEach(([id, level]) => select.appendChild(new Option(`${id} – ${level.label}`, id)));
+  select.value = 'M';
+  select.onchange = renderShareQr;
+  $('#btn-show-qr').onclick = showShareQr;
+  $('#btn-qr-download').onclick = downloadShareQr;
+}
+
+// Payload of a share-link hash, compact (#s=) or older JSON (#state=); null when it isn't one.
+// Compact links that don't decode against the loaded items throw (ShareDatasetError when made with another list)
+async function decodeShareHash(hash) {
+  if (hash.startsWith('#state=')) return base64urlDecode(hash.substring('#state='.length));
+  if (!hash.startsWith('#s=')) return null;
+  return decodeSharePayload(hash.substring('#s='.length), state.data.map(p => p.id), getActiveDataset().id);
+}
+
+async function tryLoadShareFromHash() {
+  try {
+    return await decodeShareHash(location.hash);
+  } catch (e) {
+    const ds = e instanceof ShareDatasetError ? DATASETS[e.dataset] : null;
+    if (ds && confirm(`This link was made with the "${ds.title}" list. Switch to it?`)) {
+      await switchDataset(ds.id);
+      return tryLoadShareFromHash();
+    }
+    console.warn('Share link not loaded', e);
+    toast(e.message || 'Share link could not be read', { error: true });
+    return null;
+  }
 }
 
 // --- App lifecycle ----------------------------------------------------------
@@ -1369,8 +2634,18 @@ function sorterDigest(s) {
         current: safeId(st.current), probe: safeId(st.probe),
       };
     }
+    if (s.stack && s.stack.mode === 'reask') {
+      base.reask = { i: s.stack.i|0, pairs: (s.stack.pairs || []).length };
+    }
+    if (s.stack && s.stack.mode === 'merge-insertion') {
+      base.mergeInsertion = { n: (s.stack.items || []).length, pair: s.stack.pair || null };
+    }
+    if (s.bt) {
+      base.bt = { pairsDone: s.bt.pairsDone|0, confidence: s.bt.confidence, target: s.bt.target };
+    }
     if (s.elo) {
       base.elo = {
+        engine: s.elo.engine || 'elo',
         pairsDone: s.elo.pairsDone|0,
         totalPairs: s.elo.totalPairs|0,
         queueLen: (s.elo.queue || []).length,
@@ -1394,21 +2669,12 @@ window.addEventListener('unhandledrejection', (e) => {
   toast('An unexpected promise error occurred (see console)', { error: true });
 });
 
-function applyStateOnLoad(loadedData) {
+async function applyStateOnLoad(loadedData) {
   console.log('pps: applyStateOnLoad - data loaded, items=', Array.isArray(loadedData) ? loadedData.length : 0);
   // sanitize any holes or odd numeric properties before storing
   state.data = cleanArrayLike(loadedData);
-  const idMap = new Map(loadedData.map(p => [p.id, p]));
-  // If we have a share state in hash
-  const shared = tryLoadShareFromHash();
-  if (shared) {
-    if (shared.choices) state.sorter.cache = shared.choices;
-    if (shared.ties) state.sorter.ties = shared.ties;
-    if (shared.ranking) state.sorter.result = shared.ranking.map(id => idMap.get(id)).filter(Boolean);
-    if (shared.tiers) state.tiers = { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [], ...shared.tiers };
-    state.seed = shared.seed || state.seed;
-    saveState();
-  }
+  // A share link in the hash opens in the read-only viewer (shared-view.js) once the UI is wired
+  const shared = await tryLoadShareFromHash();
 
   // router buttons
   const btnStart = $('#btn-start');
@@ -1420,14 +2686,54 @@ function applyStateOnLoad(loadedData) {
       catch (err) { console.error(err); toast('Start failed', { error: true }); }
     });
   }
+  // dataset selector wiring
+  const datasetSelect = $('#dataset-select');
+  if (datasetSelect) {
+    renderDatasetSelect();
+    datasetSelect.onchange = async () => {
+      try { await switchDataset(datasetSelect.value); }
+      catch (err) { console.error(err); toast('Failed to load dataset', { error: true }); }
+    };
+  }
+  // profile selector wiring
+  const profileSelect = $('#profile-select');
+  if (profileSelect) {
+    profileSelect.onchange = async () => {
+      try { await switchProfile(profileSelect.value); }
+      catch (err) { console.error(err); toast('Failed to load profile', { error: true }); }
+    };
+    $('#btn-profile-delete').onclick = async () => {
+      const profile = activeProfile();
+      if (!confirm(`Delete the profile "${profile.name}" and its saved ranking and tiers?`)) return;
+      deleteProfile(profile.id);
+      await switchProfile('default');
+      toast(`Deleted "${profile.name}"`, { ok: true });
+    };
+  }
   // historian checkbox wiring
   const historianCheckbox = $('#use-historian');
   if (historianCheckbox) {
-    // initialize from state
-    historianCheckbox.checked = state.useHistorian !== false;
-    historianCheckbox.onchange = () => { state.useHistorian = historianCheckbox.checked; saveState(); };
+    historianCheckbox.onchange = () => {
+      state.useHistorian = historianCheckbox.checked;
+      $('#historian-survey').disabled = !historianCheckbox.checked;
+      saveState();
+    };
+  }
+  initSurveyPicker();
+  // pairwise algorithm selector
+  const algoSelect = $('#pairwise-algorithm');
+  if (algoSelect) {
+    algoSelect.onchange = () => { state.pairwiseAlgorithm = algoSelect.value; saveState(); };
   }
   
+  // Custom list import
+  if (typeof initItemImport === 'function') initItemImport();
+  // Panels and extra screens: one that fails to wire up must not stop the rest of startup
+  ['initResortPanel', 'initTierEditor', 'initTierKeyboard', 'initTextExportMenus', 'initSharedView',
+    'initShareQr', 'initAggregate', 'initTierDiff', 'initHistorianPanel'].forEach(name => {
+    try { window[name](); } catch (e) { console.warn(`${name} failed`, e); }
+  });
+
   // --- Picker Mode Integration ---
   const btnStartPicker = $('#btn-start-picker');
   if (btnStartPicker) {
@@ -1448,12 +2754,27 @@ function applyStateOnLoad(loadedData) {
     });
   }
   
-  // Check if there's saved picker progress
-  const hasPickerProgress = localStorage.getItem('pps.v1.picker');
-  if (hasPickerProgress && btnResumePicker) {
-    btnResumePicker.hidden = false;
+  const btnStartBT = $('#btn-start-bt');
+  if (btnStartBT) {
+    btnStartBT.disabled = false;
+    btnStartBT.addEventListener('click', async () => {
+      try { await startSortingBT(); }
+      catch (err) { console.error(err); toast('Start (Bayesian) failed', { error: true }); }
+    });
+  }
+  const topKInput = $('#top-k');
+  if (topKInput) {
+    topKInput.onchange = () => {
+      const k = Math.floor(Number(topKInput.value));
+      state.topK = k > 0 ? k : null;
+      topKInput.value = state.topK ? String(state.topK) : '';
+      saveState();
+    };
+  }
+  const btTargetSelect = $('#bt-target');
+  if (btTargetSelect) {
+    btTargetSelect.onchange = () => { state.btTarget = Number(btTargetSelect.value); saveState(); };
   }
-  
   const btnStartElo = $('#btn-start-elo');
   if (btnStartElo) {
     btnStartElo.disabled = false;
@@ -1465,24 +2786,26 @@ function applyStateOnLoad(loadedData) {
   // ELO intensity selector wiring
   const eloSelect = $('#elo-intensity');
   if (eloSelect) {
-    // set initial value from state
-    eloSelect.value = state.sorter.eloIntensity || 'balanced';
     eloSelect.onchange = () => { state.sorter.eloIntensity = eloSelect.value; saveState(); };
   }
+  const engineSelect = $('#rating-engine');
+  if (engineSelect) {
+    engineSelect.onchange = () => { state.ratingEngine = engineSelect.value; saveState(); };
+  }
   // Repair button: run sanitizer and show before/after counts
   const btnRepair = $('#btn-repair');
   if (btnRepair) btnRepair.onclick = () => {
     try {
-      const raw = localStorage.getItem(LS_KEY);
+      const raw = localStorage.getItem(stateKey());
       const before = raw ? JSON.parse(raw) : null;
       const beforeCount = before && before.data ? (Array.isArray(before.data) ? before.data.length : (before.data.length || 0)) : 0;
       const repaired = sanitizeState(before || defaultState());
       const aggressive = confirm('Repair state: OK = aggressive (wipe sorter progress), Cancel = soft repair (sanitize only).\n\nAggressive will keep candidate data but remove sorter progress, cache, ties, and undo history.');
       if (aggressive) {
         repaired.sorter = { active: false, pendingResolve: null, cache: {}, ties: {}, progress: 0, stack: null, result: null, undo: [] };
-        repaired.tiers = { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [] };
+        repaired.tiers = emptyTiers(repaired.tierSchema);
       }
-      localStorage.setItem(LS_KEY, JSON.stringify(repaired));
+      localStorage.setItem(stateKey(), JSON.stringify(repaired));
       toast(`Repaired state (data before: ${beforeCount}, after: ${repaired.data.length})`, { ok: true });
       // Log JSON snapshots (avoid DevTools live object evaluation confusion)
       try { console.log('Repair state: before (snapshot)', JSON.parse(JSON.stringify(before || {})), 'after (snapshot)', JSON.parse(JSON.stringify(repaired)), 'aggressive', aggressive); } catch (e) { console.log('Repair state: before/after', before, repaired, 'aggressive', aggressive); }
@@ -1490,8 +2813,18 @@ function applyStateOnLoad(loadedData) {
   };
   $('#btn-resume').onclick = async () => {
     showScreen('screen-sorter');
+    if (state.sorter.stack && state.sorter.stack.mode === 'reask') {
+      updateBackButton();
+      await continueReask();
+      return;
+    }
+    if (state.sorter.mode === 'bt') {
+      if (!state.sorter.bt) initBT(seededShuffle(state.data, state.seed));
+      await continueBT();
+      return;
+    }
     if (state.sorter.mode === 'elo') {
-      if (!state.sorter.elo || !state.sorter.elo.queue?.length) initElo(seededShuffle(state.data, state.seed));
+      if (!state.sorter.elo || !Object.keys(state.sorter.elo.ratings || {}).length) initElo(seededShuffle(state.data, state.seed));
       await continueElo();
       return;
     }
@@ -1500,17 +2833,31 @@ function applyStateOnLoad(loadedData) {
     await continueSort();
   };
   $('#btn-skip-to-tiers').onclick = () => {
-    if (!state.sorter.result) state.sorter.result = seededShuffle(loadedData, state.seed);
+    if (!state.sorter.result) state.sorter.result = seededShuffle(state.data, state.seed);
     showTierBoard();
   };
   $('#btn-to-tiers').onclick = () => showTierBoard();
   const btnCutoffs = $('#btn-cutoffs');
   if (btnCutoffs) btnCutoffs.onclick = () => startCutoffs();
-  $('#btn-cancel-sort').onclick = () => showScreen('screen-welcome');
+  const btnAutoTier = $('#btn-auto-tier');
+  if (btnAutoTier) btnAutoTier.onclick = () => startCutoffs({ auto: true });
+  $('#btn-cancel-sort').onclick = () => { if (!cancelResort()) showScreen('screen-welcome'); };
   // Initial live ranking render
   try { renderLiveRanking(); } catch (_) {}
 
   $('#btn-export-png').onclick = exportPNG;
+  $('#btn-export-svg').onclick = exportSVG;
+  $('#btn-export-pdf').onclick = printTierList;
+  renderPngOptions();
+  $$('[data-png-option]').forEach(el => { el.onchange = () => readPngOptions(); });
+  $('#modal-note').addEventListener('close', onNoteDialogClose);
+  $('#btn-tier-undo').onclick = () => undoTierEdit();
+  $('#btn-tier-redo').onclick = () => redoTierEdit();
+  document.addEventListener('keydown', onTierHistoryKey);
+  const layoutSelect = $('#tier-layout');
+  if (layoutSelect) layoutSelect.onchange = () => { state.tierLayout = layoutSelect.value; saveState(); buildTierBoard(); };
+  const titleInput = $('#tier-title-input');
+  if (titleInput) titleInput.oninput = () => { state.tierTitle = titleInput.value; saveState(); renderTierTitle(); };
   $('#btn-export-json').onclick = exportJSON;
   $('#input-import-json').onchange = (e) => e.target.files?.[0] && importJSON(e.target.files[0]);
   $('#btn-share').onclick = copyShareLink;
@@ -1523,21 +2870,22 @@ function applyStateOnLoad(loadedData) {
 
   // Cutoffs wizard wiring
   const inputCut = $('#cutoffs-count');
-  if (inputCut) inputCut.oninput = () => renderCutoffs();
+  if (inputCut) inputCut.oninput = () => { applyCut(inputCut.value); renderCutoffs(); };
+  const autoMethod = $('#auto-tier-method');
+  if (autoMethod) autoMethod.onchange = () => { autoMethod.dataset.touched = '1'; renderAutoTier(); suggestCutoffs(); };
+  const autoProportions = $('#auto-tier-proportions');
+  if (autoProportions) autoProportions.oninput = () => onProportionsInput(autoProportions);
+  const btnSuggest = $('#btn-auto-tier-suggest'); if (btnSuggest) btnSuggest.onclick = () => suggestCutoffs();
   const btnPrev = $('#btn-cutoffs-prev'); if (btnPrev) btnPrev.onclick = () => prevCut();
   const btnNext = $('#btn-cutoffs-next'); if (btnNext) btnNext.onclick = () => nextCut();
   const btnApply = $('#btn-cutoffs-apply'); if (btnApply) btnApply.onclick = () => { applyCut($('#cutoffs-count').value); applyCutoffsToTiers(); };
   const btnCancel = $('#btn-cutoffs-cancel'); if (btnCancel) btnCancel.onclick = () => { cutState = null; showScreen('screen-results'); };
 
   // Initialize welcome screen based on saved progress
-  const hasProgress = state.sorter && (state.sorter.stack || Object.keys(state.sorter.cache).length > 0 || state.sorter.result);
-  if (hasProgress) {
-    $('#btn-resume').hidden = !!state.sorter.result ? true : false;
-    $('#btn-skip-to-tiers').hidden = false;
-  }
+  renderWelcome();
 
-  // If share included ranking, go to results/tier accordingly
-  if (state.sorter.result) {
+  if (shared) openSharedView(shared);
+  else if (state.sorter.result) {
     renderResults(state.sorter.result);
     showScreen('screen-results');
   } else {
@@ -1545,13 +2893,76 @@ function applyStateOnLoad(loadedData) {
   }
 }
 
+function renderDatasetSelect() {
+  const select = $('#dataset-select');
+  if (!select) return;
+  select.innerHTML = '';
+  Object.values(DATASETS).forEach(ds => {
+    const opt = document.createElement('option'); opt.value = ds.id; opt.textContent = ds.title;
+    select.appendChild(opt);
+  });
+  select.value = getActiveDataset().id;
+}
+
+// Reflect the active dataset and its saved progress on the welcome screen
+function renderWelcome() {
+  const ds = getActiveDataset();
+  const intro = $('#welcome-intro');
+  if (intro) intro.textContent = `This tool lets you sort ${ds.title} and then build a custom ${tierRangeLabel()} tier list.`;
+  const historianRow = $('#use-historian')?.closest('label');
+  if (historianRow) historianRow.hidden = !hasSurveys(ds);
+  renderSurveyPicker();
+  renderWelcomeOptions();
+  const hasProgress = state.sorter && (state.sorter.stack || Object.keys(state.sorter.cache).length > 0 || state.sorter.result);
+  $('#btn-resume').hidden = !hasProgress || !!state.sorter.result;
+  const btnResumePicker = $('#btn-resume-picker');
+  if (btnResumePicker) btnResumePicker.hidden = !localStorage.getItem(pickerStorageKey());
+  renderProfileSelect();
+}
+
+// Option controls show the active list and profile's saved choices (they change with switchDataset/switchProfile)
+function renderWelcomeOptions() {
+  const historianCheckbox = $('#use-historian'); if (historianCheckbox) historianCheckbox.checked = state.useHistorian !== false;
+  const algoSelect = $('#pairwise-algorithm'); if (algoSelect) algoSelect.value = state.pairwiseAlgorithm || 'insertion';
+  const topKInput = $('#top-k'); if (topKInput) topKInput.value = state.topK ? String(state.topK) : '';
+  const btTargetSelect = $('#bt-target'); if (btTargetSelect) btTargetSelect.value = String(state.btTarget ?? 0.9);
+  const eloSelect = $('#elo-intensity'); if (eloSelect) eloSelect.value = state.sorter.eloIntensity || 'balanced';
+  const engineSelect = $('#rating-engine'); if (engineSelect) engineSelect.value = getRatingEngine(state.ratingEngine).id;
+}
+
+// Swap to another dataset in place: its own saved state, data and picker progress
+async function switchDataset(id) {
+  setActiveDataset(id);
+  state = loadState() || defaultState();
+  state.data = cleanArrayLike(await loadData());
+  renderWelcome();
+  showScreen('screen-welcome');
+}
+
+// Same for another profile of the current dataset
+async function switchProfile(id) {
+  setActiveProfile(id);
+  state = loadState() || defaultState();
+  state.data = cleanArrayLike(await loadData());
+  renderWelcome();
+  showScreen('screen-welcome');
+}
+
+// Welcome-screen choices and tier board setup survive starting a fresh run
+const PERSISTED_PREFS = ['useHistorian', 'historianSurvey', 'pairwiseAlgorithm', 'btTarget', 'ratingEngine', 'topK',
+  'tierSchema', 'tierProportions', 'tierLayout', 'tierTitle', 'pngOptions'];
+function welcomePrefs() {
+  return Object.fromEntries(PERSISTED_PREFS.map(key => [key, state[key]]));
+}
+
 async function startSorting() {
-  // Build the candidate list. If "Use Historian Ranking Seed" selected, try to order by historical_ranking.csv
+  // Build the candidate list. If "Use Historian Ranking Seed" selected, try to order by the chosen survey(s)
   try {
-  // Fresh run: clear persisted state and reset in-memory state to defaults
+  // Fresh run: clear persisted state and reset in-memory state to defaults (welcome-screen preferences survive)
+  const prefs = welcomePrefs();
   clearState();
-  state = defaultState();
-  state.tiers = { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [] };
+  state = Object.assign(defaultState(), prefs);
+  state.tiers = emptyTiers();
   // Load fresh data to avoid relying on possibly mutated state.data
   let fresh;
   try { fresh = await loadData(); } catch (e) { fresh = Array.isArray(state.data) ? state.data : []; }
@@ -1565,55 +2976,24 @@ async function startSorting() {
   saveState();
   if (source.length === 0) throw new Error('No valid candidates available');
   if (source.length !== (fresh || []).length) console.warn('startSorting: removed invalid entries from data source', (fresh || []).length - source.length);
-  // If user opted to use historian ordering, attempt to load the CSV and order accordingly; fall back to seeded shuffle.
+  // If user opted to use historian ordering, attempt to load the chosen survey(s) and order accordingly; fall back to seeded shuffle.
   let items = null;
   console.log('startSorting: state.useHistorian', state.useHistorian);
-  if (state.useHistorian) {
-    console.log('startSorting: attempting to load historian CSV for ordering');
+  if (state.useHistorian && hasSurveys()) {
+    console.log('startSorting: attempting to load historian surveys for ordering');
     try {
-      const csvText = await fetch('historical_ranking.csv').then(r => r.ok ? r.text() : Promise.reject('no csv'));
-      const lines = csvText.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-      const header = lines.shift();
-      const cols = header.split(',').map(h => h.trim().toLowerCase());
-      const idxId = cols.indexOf('id');
-      const idxName = cols.indexOf('name');
-      const idxNumber = cols.indexOf('number');
-      const order = [];
-      for (const line of lines) {
-        const parts = line.split(',');
-        if (parts.length < 1) continue;
-        const csvId = idxId >= 0 && parts[idxId] ? parts[idxId].trim() : null;
-        const name = idxName >= 0 && parts[idxName] ? parts[idxName].trim() : null;
-        const number = idxNumber >= 0 && parts[idxNumber] ? parts[idxNumber].trim() : null;
-        // Prefer explicit id if present
-        if (csvId) {
-          const byId = source.find(p => p.id === csvId);
-          if (byId) { order.push(byId); continue; }
-        }
-        // try to find by name first, then by number
-        if (name) {
-          const byName = source.find(p => p.name && p.name.toLowerCase() === name.toLowerCase());
-          if (byName) { order.push(byName); continue; }
-        }
-        if (number) {
-          const numNormalized = Number(String(number).split('/')[0]) || null;
-          if (numNormalized) {
-            const byNum = source.find(p => Number(p.number) === numNormalized);
-            if (byNum) { order.push(byNum); continue; }
-          }
-        }
-      }
+      const { order, label } = await loadSurveySeed(state.historianSurvey, source);
       // If we've captured at least half of candidates, adopt this ordering and append missing ones
       if (order.length >= Math.max(1, Math.floor(source.length / 2))) {
         const seen = new Set(order.map(p => p.id));
         const rest = source.filter(p => !seen.has(p.id));
         items = order.concat(rest);
-        console.log('startSorting: using historian ordering with', order.length, 'seeded entries');
+        console.log('startSorting: using historian ordering from', label, 'with', order.length, 'seeded entries');
       } else {
         console.warn('startSorting: historian CSV parsed but not enough matches, falling back to seeded shuffle');
       }
     } catch (e) {
-      console.warn('startSorting: failed to load/parse historical_ranking.csv', e);
+      console.warn('startSorting: failed to load/parse the historian surveys', e);
     }
   }
   else {
@@ -1625,8 +3005,11 @@ async function startSorting() {
     console.log('seededShuffle: items snapshot (copy)', items.slice());
     console.log('startSorting: items sample', items.slice(0,6));
   }
-  // Use binary insertion interactive sort instead of merge sort
-  initSort(items);
+  // Binary insertion by default; merge-insertion asks fewer questions in the worst case.
+  // Top-N always uses insertion, which can drop items past the cutoff after one question.
+  if (state.topK) initSort(items, { topK: state.topK });
+  else if (state.pairwiseAlgorithm === 'merge-insertion') initMergeInsertion(items);
+  else initSort(items);
     showScreen('screen-sorter');
   updateProgress(estimateProgress(items.length, countUniqueCachePairs(state.sorter.cache)));
   updateBackButton();
@@ -1648,11 +3031,37 @@ function showTierBoard() {
   showScreen('screen-tier');
 }
 
+async function startSortingBT() {
+  try {
+    const prefs = welcomePrefs();
+    clearState();
+    state = Object.assign(defaultState(), prefs);
+    state.tiers = emptyTiers();
+    let fresh;
+    try { fresh = await loadData(); } catch (e) { fresh = Array.isArray(state.data) ? state.data : []; }
+    const source = Array.from(fresh || []).filter(p => p && p.id);
+    state.data = source;
+    saveState();
+    if (source.length === 0) throw new Error('No valid candidates available');
+    initBT(seededShuffle(source, state.seed));
+    showScreen('screen-sorter');
+    updateBackButton();
+    await continueBT();
+  } catch (err) {
+    console.error('startSortingBT error', err);
+    toast('An error occurred starting Bayesian mode', { error: true });
+    throw err;
+  }
+}
+
 async function startSortingElo() {
   try {
+    const prefs = welcomePrefs();
+    const eloIntensity = state.sorter.eloIntensity;
     clearState();
-    state = defaultState();
-    state.tiers = { SS: [], S: [], A: [], B: [], C: [], D: [], E: [], F: [], Unplaced: [] };
+    state = Object.assign(defaultState(), prefs);
+    state.sorter.eloIntensity = eloIntensity || 'balanced';
+    state.tiers = emptyTiers();
     let fresh;
     try { fresh = await loadData(); } catch (e) { fresh = Array.isArray(state.data) ? state.data : []; }
     const source = Array.from(fresh || []).filter(p => p && p.id);
@@ -1668,7 +3077,7 @@ async function startSortingElo() {
   } catch (err) {
 
     console.error('startSortingElo error', err);
-    toast('An error occurred starting ELO mode', { error: true });
+    toast('An error occurred starting rating mode', { error: true });
     throw err;
   }
 }
@@ -1692,16 +3101,17 @@ async function startPickerMode() {
     
     // Initialize picker mode (async to preload images)
     if (typeof initPickerMode === 'function') {
-      await initPickerMode(source);
+      await initPickerMode(source, { topK: state.topK });
     } else {
       throw new Error('Picker mode not available');
     }
     
     // Set up callbacks
-    window.pickerFinishCallback = (favorites) => {
+    window.pickerFinishCallback = (favorites, rest = []) => {
       console.log('pps: Picker finished with', favorites.length, 'favorites');
       // Use picker favorites as the sorted result
       state.sorter.result = favorites;
+      state.sorter.rest = rest.length ? rest : null;
       saveState();
       renderResults(favorites);
       showScreen('screen-results');
@@ -1733,6 +3143,16 @@ async function resumePickerMode() {
     }
     
     if (source.length === 0) throw new Error('No valid candidates available');
+
+    const missing = missingFromPicker();
+    if (missing.length) {
+      const ds = getActiveDataset();
+      const noun = missing.length === 1 ? ds.itemNoun : ds.itemNounPlural;
+      if (confirm(`${missing.length} new ${noun} not in your picker session yet: ${missing.map(p => itemTitle(p)).join(', ')}.\n\nPlace them among the favorites you've found? (Otherwise they join the items still to go.)`)) {
+        await insertMissingIntoPicker(missing);
+        showScreen('screen-picker');
+      }
+    }
     
     // Initialize picker mode (will load saved state, async for preloading)
     if (typeof initPickerMode === 'function') {
@@ -1742,9 +3162,10 @@ async function resumePickerMode() {
     }
     
     // Set up callbacks
-    window.pickerFinishCallback = (favorites) => {
+    window.pickerFinishCallback = (favorites, rest = []) => {
       console.log('pps: Picker finished with', favorites.length, 'favorites');
       state.sorter.result = favorites;
+      state.sorter.rest = rest.length ? rest : null;
       saveState();
       renderResults(favorites);
       showScreen('screen-results');
@@ -1767,15 +3188,8 @@ loadData().then(applyStateOnLoad).catch(err => {
   toast('Failed to load data', { error: true });
 });
 
-// Listen for hash changes to offer state import
-window.addEventListener('hashchange', () => {
-  const shared = tryLoadShareFromHash();
-  if (shared) {
-    if (confirm('Load state from URL?')) {
-      // wipe current and apply
-      const newState = defaultState();
-      state = Object.assign(newState, state, shared);
-      location.reload();
-    }
-  }
+// A share link pasted into the open app goes to the viewer too; nothing is applied until asked
+window.addEventListener('hashchange', async () => {
+  const shared = await tryLoadShareFromHash();
+  if (shared) openSharedView(shared);
 });
@@ -0,0 +1,71 @@
+/*
+  Automatic tier cutoffs
+  - Ratings (Elo / Bradley–Terry): Jenks natural breaks, i.e. the split of the ranking into k
+    contiguous classes with the smallest total within-class squared deviation (exact DP, O(k·n²))
+  - Plain orderings: target tier sizes from proportions, each cut snapped to the nearest tie-group edge
+  - Both return tier sizes counted from the top, the format the cutoffs wizard uses
+  - Pure math only; the preview and wiring live in app.js (suggestCutoffs)
+*/
+
+// values: ratings in ranking order (best first) -> k counts; trailing tiers get 0 when n < k
+function naturalBreakCounts(values, k) {
+  const n = values.length;
+  const classes = Math.max(1, Math.min(k, n));
+  if (!n) return new Array(k).fill(0);
+  const sum = new Float64Array(n + 1); const sq = new Float64Array(n + 1);
+  values.forEach((v, i) => { sum[i + 1] = sum[i] + v; sq[i + 1] = sq[i] + v * v; });
+  // squared deviation of values[i..j) around their mean
+  const sse = (i, j) => { const s = sum[j] - sum[i]; return sq[j] - sq[i] - (s * s) / (j - i); };
+  // cost[c][j]: best split of the first j values into c + 1 classes; cut[c][j]: start of the last class
+  const cost = [Float64Array.from({ length: n + 1 }, (_, j) => (j ? sse(0, j) : 0))];
+  const cut = [new Int32Array(n + 1)];
+  for (let c = 1; c < classes; c++) {
+    const row = new Float64Array(n + 1).fill(Infinity); const at = new Int32Array(n + 1);
+    for (let j = c + 1; j <= n; j++) {
+      for (let i = c; i < j; i++) {
+        const v = cost[c - 1][i] + sse(i, j);
+        if (v < row[j]) { row[j] = v; at[j] = i; }
+      }
+    }
+    cost.push(row); cut.push(at);
+  }
+  const counts = new Array(k).fill(0);
+  let end = n;
+  for (let c = classes - 1; c >= 0; c--) {
+    const start = c ? cut[c][end] : 0;
+    counts[c] = end - start;
+    end = start;
+  }
+  return counts;
+}
+
+// groupSizes: tie-group sizes in ranking order (all 1 without ties); weights: relative tier sizes, top first
+function proportionalCounts(groupSizes, weights) {
+  const edges = [0];
+  groupSizes.forEach(g => edges.push(edges[edges.length - 1] + g));
+  const n = edges[edges.length - 1];
+  const total = weights.reduce((a, w) => a + w, 0) || 1;
+  const counts = [];
+  let acc = 0; let prev = 0;
+  weights.forEach((w, i) => {
+    acc += w;
+    const target = i === weights.length - 1 ? n : (n * acc) / total;
+    // never split a tie group: take the group edge closest to the target
+    let best = prev;
+    for (const e of edges) if (e >= prev && Math.abs(e - target) < Math.abs(best - target)) best = e;
+    counts.push(best - prev);
+    prev = best;
+  });
+  return counts;
+}
+
+// Pyramid-shaped default (e.g. 5,10,15,20,20,15,10,5 for eight tiers), in whole percents
+function defaultTierProportions(k) {
+  const w = Array.from({ length: k }, (_, i) => Math.min(i + 1, k - i));
+  const total = w.reduce((a, b) => a + b, 0);
+  return w.map(x => Math.round((100 * x) / total));
+}
+
+window.naturalBreakCounts = naturalBreakCounts;
+window.proportionalCounts = proportionalCounts;
+window.defaultTierProportions = defaultTierProportions;
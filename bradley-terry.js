@@ -0,0 +1,170 @@
+/*
+  Bayesian Bradley–Terry model
+  - Strengths θ have a Gaussian prior; P(i beats j) = logistic(θi − θj), ties count as half a win
+  - Posterior is approximated by a Laplace fit (MAP + inverse Hessian), refit after every answer
+  - Next pair = largest expected information gain (BALD, probit approximation of the logistic)
+  - Pure math only; the interactive loop lives in app.js (initBT / continueBT)
+*/
+
+const BT_CONFIG = {
+  PRIOR_SD: 2,          // prior standard deviation of each strength (logit scale)
+  NEWTON_STEPS: 25,
+  NEWTON_TOL: 1e-6,
+  RATING_BASE: 1000,    // display scale: Elo-like points
+  RATING_SCALE: 400 / Math.LN10,
+  CI_Z: 1.96,           // 95% credible interval
+  MIN_GAIN: 0.005,      // bits; below this nothing is worth asking
+};
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+function binaryEntropy(p) {
+  if (p <= 0 || p >= 1) return 0;
+  return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+}
+
+// Inverse of a symmetric positive definite matrix via Cholesky
+function invertSPD(A) {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) L[i][i] = Math.sqrt(Math.max(sum, 1e-12));
+      else L[i][j] = sum / L[j][j];
+    }
+  }
+  // invert L (lower triangular), then A^-1 = L^-T L^-1
+  const Li = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    Li[i][i] = 1 / L[i][i];
+    for (let j = 0; j < i; j++) {
+      let sum = 0;
+      for (let k = j; k < i; k++) sum -= L[i][k] * Li[k][j];
+      Li[i][j] = sum / L[i][i];
+    }
+  }
+  const inv = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = 0;
+      for (let k = i; k < n; k++) sum += Li[k][i] * Li[k][j];
+      inv[i][j] = sum; inv[j][i] = sum;
+    }
+  }
+  return inv;
+}
+
+// comparisons: [[winnerSideId, otherId, score]] with score 1 (first wins), 0.5 (tie), 0 (second wins)
+function btFit(ids, comparisons, { priorSd = BT_CONFIG.PRIOR_SD, init = null } = {}) {
+  const n = ids.length;
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const theta = new Float64Array(n);
+  if (init) ids.forEach((id, i) => { theta[i] = Number(init[id]) || 0; });
+  const obs = comparisons
+    .map(([a, b, y]) => [index.get(a), index.get(b), y])
+    .filter(([i, j]) => i != null && j != null && i !== j);
+  const priorPrec = 1 / (priorSd * priorSd);
+  let precision = null;
+  for (let step = 0; step < BT_CONFIG.NEWTON_STEPS; step++) {
+    const grad = new Float64Array(n);
+    precision = Array.from({ length: n }, () => new Float64Array(n));
+    for (let i = 0; i < n; i++) { grad[i] = -theta[i] * priorPrec; precision[i][i] = priorPrec; }
+    for (const [i, j, y] of obs) {
+      const p = logistic(theta[i] - theta[j]);
+      const w = p * (1 - p);
+      grad[i] += y - p; grad[j] -= y - p;
+      precision[i][i] += w; precision[j][j] += w;
+      precision[i][j] -= w; precision[j][i] -= w;
+    }
+    const cov = invertSPD(precision);
+    let maxDelta = 0;
+    for (let i = 0; i < n; i++) {
+      let delta = 0;
+      for (let j = 0; j < n; j++) delta += cov[i][j] * grad[j];
+      theta[i] += delta;
+      maxDelta = Math.max(maxDelta, Math.abs(delta));
+    }
+    if (maxDelta < BT_CONFIG.NEWTON_TOL) break;
+  }
+  // Laplace covariance at the mode (precision from the final iterate is close enough)
+  const cov = invertSPD(precision || [[priorPrec]]);
+  return { ids: ids.slice(), index, theta, cov };
+}
+
+// Posterior of θi − θj and the expected information gain (bits) of asking the pair
+function btPairInfo(fit, a, b) {
+  const i = fit.index.get(a); const j = fit.index.get(b);
+  const m = fit.theta[i] - fit.theta[j];
+  const s2 = Math.max(0, fit.cov[i][i] + fit.cov[j][j] - 2 * fit.cov[i][j]);
+  // logistic(x) ≈ Φ(λx); BALD for a probit outcome (Houlsby et al. 2011)
+  const lam2 = Math.PI / 8;
+  const c2 = (Math.PI * Math.LN2) / 2;
+  const pMean = normalCdf(Math.sqrt(lam2) * m / Math.sqrt(1 + lam2 * s2));
+  const expectedEntropy = Math.sqrt(c2 / (lam2 * s2 + c2)) * Math.exp(-(lam2 * m * m) / (2 * (lam2 * s2 + c2)));
+  return { m, s2, pWin: pMean, gain: binaryEntropy(pMean) - expectedEntropy };
+}
+
+// Best unasked pair by information gain; `asked(a, b)` filters pairs that already have an answer
+function btNextPair(fit, asked = () => false) {
+  let best = null; let bestGain = BT_CONFIG.MIN_GAIN;
+  const ids = fit.ids;
+  for (let x = 0; x < ids.length; x++) {
+    for (let y = x + 1; y < ids.length; y++) {
+      if (asked(ids[x], ids[y])) continue;
+      const { gain } = btPairInfo(fit, ids[x], ids[y]);
+      if (gain > bestGain) { bestGain = gain; best = [ids[x], ids[y]]; }
+    }
+  }
+  return best ? { pair: best, gain: bestGain } : null;
+}
+
+function btRanking(fit) {
+  return fit.ids.slice().sort((a, b) => fit.theta[fit.index.get(b)] - fit.theta[fit.index.get(a)]);
+}
+
+// Ranking confidence: expected share of all pairs that the current ranking orders correctly
+// (equivalently (1 + E[Kendall τ]) / 2 against the posterior)
+function btConfidence(fit) {
+  const ids = fit.ids;
+  if (ids.length < 2) return 1;
+  let sum = 0; let pairs = 0;
+  for (let x = 0; x < ids.length; x++) {
+    for (let y = x + 1; y < ids.length; y++) {
+      const { m, s2 } = btPairInfo(fit, ids[x], ids[y]);
+      sum += s2 > 0 ? normalCdf(Math.abs(m) / Math.sqrt(s2)) : 1;
+      pairs++;
+    }
+  }
+  return sum / pairs;
+}
+
+// Display rating with its 95% credible interval, on the Elo-like scale
+function btRating(fit, id) {
+  const i = fit.index.get(id);
+  if (i == null) return null;
+  const sd = Math.sqrt(fit.cov[i][i]);
+  const toRating = (t) => BT_CONFIG.RATING_BASE + BT_CONFIG.RATING_SCALE * t;
+  return {
+    mean: toRating(fit.theta[i]),
+    lo: toRating(fit.theta[i] - BT_CONFIG.CI_Z * sd),
+    hi: toRating(fit.theta[i] + BT_CONFIG.CI_Z * sd),
+    sd: BT_CONFIG.RATING_SCALE * sd,
+  };
+}
+
+window.BT_CONFIG = BT_CONFIG;
+window.btFit = btFit;
+window.btPairInfo = btPairInfo;
+window.btNextPair = btNextPair;
+window.btRanking = btRanking;
+window.btConfidence = btConfidence;
+window.btRating = btRating;
@@ -0,0 +1,158 @@
+/*
+  Dataset registry
+  - Each dataset is a manifest: title, item schema, image patterns, display fields, label overrides
+  - The active dataset comes from ?dataset=, then the last one picked on the welcome screen
+  - Storage keys are namespaced per dataset so rankings of different lists never mix
+*/
+
+const DATASET_PARAM = 'dataset';
+const DATASET_PREF_KEY = 'pps.v1.dataset';
+const DEFAULT_DATASET_ID = 'presidents';
+
+const DATASETS = {
+  presidents: {
+    id: 'presidents',
+    title: 'U.S. Presidents',
+    itemNoun: 'president',
+    itemNounPlural: 'presidents',
+    dataUrl: 'data/presidents.json',
+    embeddedId: 'presidents-json', // <script type="application/json"> fallback for file://
+    // field -> type; a trailing '?' marks the field optional
+    schema: { id: 'string', name: 'string', number: 'number?', years: 'string?', image: 'string?' },
+    // Tried in order; a pattern is skipped when a field it references is missing.
+    // {field:2} zero-pads the value to two digits.
+    images: [
+      'img/{image}',
+      'img/President_{number}.png',
+      'img/President_{number:2}.png',
+      'img/{id}.jpg', 'img/{id}.png', 'img/{id}.jpeg',
+    ],
+    display: { title: 'name', subtitle: 'years', badge: 'number' },
+    badgeFormat: '#{number}',
+    // Per-item badge overrides (nonconsecutive terms)
+    labels: { cleveland: '#22 and #24', trump: '#45 and #47' },
+    surveys: 'data/surveys/index.json', // historian surveys (see surveys.js)
+    exportName: 'presidential_tiers',
+    legacyStorage: true, // keeps the original un-suffixed localStorage keys
+  },
+};
+
+function registerDataset(manifest) {
+  if (!manifest || !manifest.id) throw new Error('Dataset manifest needs an id');
+  DATASETS[manifest.id] = Object.assign({
+    title: manifest.id,
+    itemNoun: 'item',
+    itemNounPlural: 'items',
+    schema: { id: 'string', name: 'string', image: 'string?' },
+    images: ['{image}'],
+    display: { title: 'name', subtitle: null, badge: null },
+    badgeFormat: '',
+    labels: {},
+    surveys: null,
+    historianCsv: null,
+    exportName: `${manifest.id}_tiers`,
+  }, manifest);
+  return DATASETS[manifest.id];
+}
+
+let activeDatasetId = null;
+
+function getActiveDataset() {
+  if (!activeDatasetId) {
+    const fromUrl = new URL(location.href).searchParams.get(DATASET_PARAM);
+    const fromPref = localStorage.getItem(DATASET_PREF_KEY);
+    activeDatasetId = [fromUrl, fromPref].find(id => id && DATASETS[id]) || DEFAULT_DATASET_ID;
+  }
+  return DATASETS[activeDatasetId];
+}
+
+function setActiveDataset(id) {
+  if (!DATASETS[id]) throw new Error(`Unknown dataset: ${id}`);
+  activeDatasetId = id;
+  localStorage.setItem(DATASET_PREF_KEY, id);
+  // Keep the URL shareable: ?dataset= always reflects the active list
+  const url = new URL(location.href);
+  if (id === DEFAULT_DATASET_ID) url.searchParams.delete(DATASET_PARAM);
+  else url.searchParams.set(DATASET_PARAM, id);
+  history.replaceState(null, '', url.pathname + url.search + url.hash);
+  return DATASETS[id];
+}
+
+// Namespaced localStorage key for the active dataset, e.g. 'pps.v1.state.justices'
+function datasetStorageKey(base, ds = getActiveDataset()) {
+  return ds.legacyStorage ? base : `${base}.${ds.id}`;
+}
+
+// Fill '{field}' / '{field:2}' placeholders; returns null when a referenced field is missing
+function fillPattern(pattern, item) {
+  let missing = false;
+  const out = pattern.replace(/\{(\w+)(?::(\d+))?\}/g, (_, field, pad) => {
+    const v = item[field];
+    if (v == null || v === '') { missing = true; return ''; }
+    return pad ? String(v).padStart(Number(pad), '0') : String(v);
+  });
+  return missing ? null : out;
+}
+
+function isAbsoluteImageUrl(src) {
+  return /^(data:|blob:|https?:|\/)/i.test(src || '');
+}
+
+function itemImageCandidates(item, ds = getActiveDataset()) {
+  const candidates = [];
+  // Imported items may carry a data URL or absolute URL directly
+  const absolute = isAbsoluteImageUrl(item.image);
+  if (absolute) candidates.push(item.image);
+  const fields = absolute ? { ...item, image: null } : item;
+  for (const pattern of ds.images || []) {
+    const src = fillPattern(pattern, fields);
+    if (src && !candidates.includes(src)) candidates.push(src);
+  }
+  return candidates;
+}
+
+function itemTitle(item, ds = getActiveDataset()) {
+  return item[ds.display?.title || 'name'] || item.name || item.id;
+}
+
+function itemSubtitle(item, ds = getActiveDataset()) {
+  const field = ds.display?.subtitle;
+  return field && item[field] != null ? String(item[field]) : '';
+}
+
+// Short badge such as '#16'; per-item overrides win over the format pattern
+function itemBadge(item, ds = getActiveDataset()) {
+  if (ds.labels && ds.labels[item.id]) return ds.labels[item.id];
+  const field = ds.display?.badge;
+  if (!field || item[field] == null) return '';
+  return fillPattern(ds.badgeFormat || `{${field}}`, item) || '';
+}
+
+// Drop entries that don't satisfy the manifest schema (required fields and primitive types)
+function validateItems(items, ds = getActiveDataset()) {
+  const schema = ds.schema || { id: 'string', name: 'string' };
+  const valid = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    if (!item || typeof item !== 'object') continue;
+    const ok = Object.entries(schema).every(([field, type]) => {
+      const optional = type.endsWith('?');
+      const v = item[field];
+      if (v == null || v === '') return optional;
+      return typeof v === type.replace('?', '');
+    });
+    if (ok) valid.push(item);
+    else console.warn('validateItems: skipping entry that does not match schema', ds.id, item);
+  }
+  return valid;
+}
+
+window.DATASETS = DATASETS;
+window.registerDataset = registerDataset;
+window.getActiveDataset = getActiveDataset;
+window.setActiveDataset = setActiveDataset;
+window.datasetStorageKey = datasetStorageKey;
+window.itemImageCandidates = itemImageCandidates;
+window.itemTitle = itemTitle;
+window.itemSubtitle = itemSubtitle;
+window.itemBadge = itemBadge;
+window.validateItems = validateItems;
@@ -0,0 +1,123 @@
+/*
+  "Compare to historians" panel on the results screen
+  - Loads the survey chosen for the pairwise seed on the welcome screen (or the average of all of
+    them, see surveys.js) when the panel is opened
+  - Shows Kendall tau-b, Spearman rho and footrule distance between your ranking and the historians'
+  - Lists the items you rate furthest above and below the historians, and a slope chart joining
+    each item's position in the two orderings
+  - Only items in both orderings count; a Top-N run compares just its ranked part
+*/
+
+const HISTORIAN_OUTLIERS = 5;
+const SLOPE = { row: 18, label: 190, gap: 150, pad: 12 };
+// Tied items share an average rank, so ranks and distances can be halves
+const historianRankText = (v) => (Number.isInteger(v) ? String(v) : v.toFixed(1));
+
+// --- Slope chart ------------------------------------------------------------------
+function svgEl(tag, attrs = {}, text = null) {
+  const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  if (text != null) el.textContent = text;
+  return el;
+}
+
+// Left column: your order; right column: the historians'. Lines are colored by direction
+function slopeChart(cmp, name) {
+  const n = cmp.ids.length;
+  const width = SLOPE.label * 2 + SLOPE.gap;
+  const height = n * SLOPE.row + SLOPE.pad * 2 + SLOPE.row;
+  const y = (rank) => SLOPE.pad + SLOPE.row * 1.5 + (rank - 1) * SLOPE.row;
+  const x1 = SLOPE.label; const x2 = SLOPE.label + SLOPE.gap;
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, width, height, class: 'slope-chart', role: 'img', 'aria-label': 'Slope chart: your ranking on the left, the historians\' on the right' });
+  svg.append(
+    svgEl('text', { x: x1, y: SLOPE.pad + 4, 'text-anchor': 'end', class: 'slope-head' }, 'You'),
+    svgEl('text', { x: x2, y: SLOPE.pad + 4, class: 'slope-head' }, 'Historians'),
+  );
+  cmp.ids.slice().sort((a, b) => cmp.ranksA.get(a) - cmp.ranksA.get(b)).forEach(id => {
+    const mine = cmp.ranksA.get(id); const theirs = cmp.ranksB.get(id);
+    const delta = theirs - mine;
+    const cls = Math.abs(delta) <= 2 ? 'slope-even' : delta > 0 ? 'slope-up' : 'slope-down';
+    const g = svgEl('g', { class: cls });
+    g.append(
+      svgEl('title', {}, `${name(id)}: you ${historianRankText(mine)}, historians ${historianRankText(theirs)}`),
+      svgEl('line', { x1: x1 + 6, y1: y(mine) - 4, x2: x2 - 6, y2: y(theirs) - 4 }),
+      svgEl('text', { x: x1, y: y(mine), 'text-anchor': 'end' }, `${name(id)} ${historianRankText(mine)}`),
+      svgEl('text', { x: x2, y: y(theirs) }, `${historianRankText(theirs)} ${name(id)}`),
+    );
+    svg.appendChild(g);
+  });
+  return svg;
+}
+
+// --- Panel ------------------------------------------------------------------------
+function renderOutliers(list, rows, name, describe) {
+  list.innerHTML = '';
+  rows.forEach(r => {
+    const li = document.createElement('li');
+    li.textContent = `${name(r.id)}: ${describe(r)}`;
+    list.appendChild(li);
+  });
+  if (!rows.length) {
+    const li = document.createElement('li'); li.className = 'muted'; li.textContent = 'None';
+    list.appendChild(li);
+  }
+}
+
+async function renderHistorianCompare() {
+  const panel = $('#historian-panel');
+  const ranked = state.sorter.result || [];
+  const body = $('#historian-body');
+  const summary = $('#historian-summary');
+  if (!panel.open) return;
+  let seed;
+  try {
+    seed = await loadSurveySeed(state.historianSurvey, state.data);
+  } catch (e) {
+    console.warn('historian surveys failed', e);
+    summary.textContent = 'The historian ranking could not be loaded.';
+    body.hidden = true;
+    return;
+  }
+  const mine = new Map();
+  resultRanks(ranked).forEach((rank, i) => mine.set(ranked[i].id, rank));
+  const theirs = new Map(seed.order.map((p, i) => [p.id, i + 1]));
+  const cmp = compareRankings(mine, theirs);
+  if (cmp.ids.length < 3) {
+    summary.textContent = 'Too few items in both rankings to compare.';
+    body.hidden = true;
+    return;
+  }
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const name = (id) => itemTitle(idMap.get(id));
+  summary.textContent = `Compared with ${seed.label}: ${cmp.ids.length} items in both rankings.`;
+  $('#historian-kendall').textContent = cmp.kendall.toFixed(3);
+  $('#historian-spearman').textContent = cmp.spearman.toFixed(3);
+  $('#historian-footrule').textContent = `${historianRankText(cmp.footrule)} (${Math.round((100 * cmp.footrule) / cmp.footruleMax)}% of the maximum ${cmp.footruleMax})`;
+
+  const rows = cmp.ids.map(id => ({ id, mine: cmp.ranksA.get(id), theirs: cmp.ranksB.get(id), delta: cmp.ranksB.get(id) - cmp.ranksA.get(id) }));
+  const higher = rows.filter(r => r.delta > 0).sort((a, b) => b.delta - a.delta).slice(0, HISTORIAN_OUTLIERS);
+  const lower = rows.filter(r => r.delta < 0).sort((a, b) => a.delta - b.delta).slice(0, HISTORIAN_OUTLIERS);
+  renderOutliers($('#historian-higher'), higher, name, r => `you ${historianRankText(r.mine)}, historians ${historianRankText(r.theirs)} (${historianRankText(r.delta)} places higher)`);
+  renderOutliers($('#historian-lower'), lower, name, r => `you ${historianRankText(r.mine)}, historians ${historianRankText(r.theirs)} (${historianRankText(-r.delta)} places lower)`);
+
+  const chart = $('#historian-slope');
+  chart.innerHTML = '';
+  chart.appendChild(slopeChart(cmp, name));
+  body.hidden = false;
+}
+
+// Called from renderResults: the panel only exists for datasets with historian surveys
+function renderHistorianPanel() {
+  const panel = $('#historian-panel');
+  if (!panel) return;
+  panel.hidden = !hasSurveys() || !(state.sorter.result || []).length;
+  if (!panel.hidden) renderHistorianCompare();
+}
+
+function initHistorianPanel() {
+  const panel = $('#historian-panel');
+  if (panel) panel.addEventListener('toggle', () => renderHistorianCompare());
+}
+
+window.renderHistorianPanel = renderHistorianPanel;
+window.initHistorianPanel = initHistorianPanel;
@@ -0,0 +1,264 @@
+/*
+  Custom item import
+  - Accepts CSV (id,name,subtitle,image), a JSON array, or one name per line
+  - Validates and dedupes ids, generates missing ones, previews the list
+  - Images are embedded as downscaled data URLs so everything stays client-side
+  - The imported list becomes the 'custom' dataset (see datasets.js)
+*/
+
+const CUSTOM_DATASET_ID = 'custom';
+const CUSTOM_ITEMS_KEY = 'pps.v1.custom.items';
+const IMPORT_IMAGE_MAX = { width: 240, height: 300 }; // matches the 4:5 card portraits
+
+// --- Parsing ----------------------------------------------------------------
+function slugifyId(text) {
+  const slug = String(text || '').toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return slug || 'item';
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+function parseCsvRows(text) {
+  const rows = [];
+  let row = []; let field = ''; let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.map(r => r.map(v => v.trim())).filter(r => r.some(Boolean));
+}
+
+function detectImportFormat(text, filename = '') {
+  const trimmed = text.trim();
+  if (/\.json$/i.test(filename) || /^[[{]/.test(trimmed)) return 'json';
+  const header = parseCsvRows(trimmed.split(/\r?\n/, 1)[0] || '')[0] || [];
+  if (header.map(h => h.toLowerCase()).includes('name')) return 'csv';
+  return 'lines';
+}
+
+function parseCsvItems(text) {
+  const rows = parseCsvRows(text);
+  const cols = (rows.shift() || []).map(h => h.toLowerCase());
+  const idx = (name) => cols.indexOf(name);
+  const iId = idx('id'); const iName = idx('name'); const iImage = idx('image');
+  const iSub = idx('subtitle') >= 0 ? idx('subtitle') : idx('years');
+  return rows.map(parts => {
+    // An unquoted data URL contains a comma; fold the overflow back into a trailing image column
+    if (iImage === cols.length - 1 && parts.length > cols.length) {
+      parts = parts.slice(0, iImage).concat(parts.slice(iImage).join(','));
+    }
+    const at = (i) => (i >= 0 && parts[i] ? parts[i] : undefined);
+    return { id: at(iId), name: at(iName), subtitle: at(iSub), image: at(iImage) };
+  });
+}
+
+function parseJsonItems(text) {
+  let data = JSON.parse(text);
+  if (data && !Array.isArray(data) && Array.isArray(data.items)) data = data.items;
+  if (!Array.isArray(data)) throw new Error('JSON must be an array of items');
+  return data.map(entry => {
+    if (typeof entry === 'string') return { name: entry };
+    if (!entry || typeof entry !== 'object') return {};
+    return {
+      id: entry.id != null ? String(entry.id) : undefined,
+      name: entry.name != null ? String(entry.name) : undefined,
+      subtitle: entry.subtitle ?? entry.years ?? undefined,
+      image: entry.image || undefined,
+    };
+  });
+}
+
+function parseLineItems(text) {
+  return text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(name => ({ name }));
+}
+
+// Parse raw text into items; returns { items, warnings }
+function parseItemList(text, filename = '') {
+  const format = detectImportFormat(text, filename);
+  const raw = format === 'json' ? parseJsonItems(text) : format === 'csv' ? parseCsvItems(text) : parseLineItems(text);
+  return normalizeImportedItems(raw, format);
+}
+
+function normalizeImportedItems(raw, format) {
+  const warnings = [];
+  const items = [];
+  const used = new Set();
+  raw.forEach((entry, i) => {
+    const name = (entry.name || '').trim();
+    if (!name) { warnings.push(`Row ${i + 1}: missing name, skipped`); return; }
+    let base = entry.id ? String(entry.id).trim() : '';
+    if (base && !/^[A-Za-z0-9_-]+$/.test(base)) {
+      warnings.push(`Row ${i + 1}: id "${base}" has unsupported characters, regenerated`);
+      base = '';
+    }
+    base = base || slugifyId(name);
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+    if (id !== base) warnings.push(`Row ${i + 1}: duplicate id "${base}" renamed to "${id}"`);
+    used.add(id);
+    const item = { id, name };
+    if (entry.subtitle) item.subtitle = String(entry.subtitle).trim();
+    if (entry.image) item.image = String(entry.image).trim();
+    items.push(item);
+  });
+  return { items, warnings, format };
+}
+
+// --- Images -----------------------------------------------------------------
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Downscale to portrait size and re-encode so localStorage stays within quota
+async function imageFileToDataURL(file) {
+  const src = await readFileAsDataURL(file);
+  const img = await new Promise((resolve, reject) => {
+    const i = new Image(); i.onload = () => resolve(i); i.onerror = reject; i.src = src;
+  });
+  const scale = Math.min(1, IMPORT_IMAGE_MAX.width / img.width, IMPORT_IMAGE_MAX.height / img.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.width * scale));
+  canvas.height = Math.max(1, Math.round(img.height * scale));
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+// Match uploaded files to items by the image column (file name) or by id
+async function attachImageFiles(items, files) {
+  const byName = new Map();
+  for (const f of files) {
+    byName.set(f.name.toLowerCase(), f);
+    byName.set(slugifyId(f.name.replace(/\.[^.]+$/, '')), f);
+  }
+  let attached = 0;
+  for (const item of items) {
+    const file = (item.image && byName.get(item.image.toLowerCase())) || byName.get(item.id);
+    if (!file) continue;
+    try { item.image = await imageFileToDataURL(file); attached++; }
+    catch (e) { console.warn('attachImageFiles: could not read', file.name, e); }
+  }
+  return attached;
+}
+
+// --- Custom dataset ---------------------------------------------------------
+function registerCustomDataset(title, items) {
+  return registerDataset({
+    id: CUSTOM_DATASET_ID,
+    title: title || 'Custom list',
+    itemNoun: 'item',
+    itemNounPlural: 'items',
+    items,
+    schema: { id: 'string', name: 'string', subtitle: 'string?', image: 'string?' },
+    images: ['{image}', 'img/{image}'],
+    display: { title: 'name', subtitle: 'subtitle', badge: null },
+    exportName: 'custom_tiers',
+  });
+}
+
+function saveCustomDataset(title, items) {
+  localStorage.setItem(CUSTOM_ITEMS_KEY, JSON.stringify({ title, items }));
+  // A new list invalidates any previous custom ranking
+  const ds = registerCustomDataset(title, items);
+  localStorage.removeItem(datasetStorageKey(LS_KEY, ds));
+  localStorage.removeItem(datasetStorageKey(PICKER_LS_KEY, ds));
+  return ds;
+}
+
+function restoreCustomDataset() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_ITEMS_KEY) || 'null');
+    if (saved && Array.isArray(saved.items) && saved.items.length) registerCustomDataset(saved.title, saved.items);
+  } catch (e) { console.warn('restoreCustomDataset failed', e); }
+}
+
+// --- UI -----------------------------------------------------------------------
+let importPreview = null; // { title, items, warnings }
+
+function renderImportPreview() {
+  const out = $('#import-preview');
+  const list = $('#import-preview-list');
+  if (!out || !list) return;
+  out.hidden = !importPreview;
+  if (!importPreview) return;
+  const { items, warnings } = importPreview;
+  $('#import-preview-summary').textContent = `${items.length} items` + (warnings.length ? ` · ${warnings.length} warnings` : '');
+  const warnEl = $('#import-preview-warnings');
+  warnEl.innerHTML = '';
+  warnings.forEach(w => { const li = document.createElement('li'); li.textContent = w; warnEl.appendChild(li); });
+  list.innerHTML = '';
+  items.forEach(item => {
+    const li = document.createElement('li');
+    li.className = 'import-item';
+    if (isAbsoluteImageUrl(item.image)) li.appendChild(imageWithFallback(item.image, item.name, { width: 24, height: 30 }));
+    const name = document.createElement('span'); name.textContent = item.name;
+    const meta = document.createElement('span'); meta.className = 'import-meta';
+    meta.textContent = [item.id, item.subtitle].filter(Boolean).join(' · ');
+    li.append(name, meta);
+    list.appendChild(li);
+  });
+  const enough = items.length >= 2;
+  $('#btn-import-picker').disabled = !enough;
+  $('#btn-import-pairwise').disabled = !enough;
+}
+
+async function previewImport() {
+  const textArea = $('#import-text');
+  const file = $('#import-file').files?.[0];
+  const text = file ? await file.text() : textArea.value;
+  if (!text.trim()) { toast('Paste items or choose a file first', { error: true }); return; }
+  let parsed;
+  try { parsed = parseItemList(text, file?.name || ''); }
+  catch (e) { console.error(e); toast(`Could not parse items: ${e.message}`, { error: true }); return; }
+  const images = Array.from($('#import-images').files || []);
+  if (images.length) {
+    const attached = await attachImageFiles(parsed.items, images);
+    if (attached < images.length) parsed.warnings.push(`${images.length - attached} image file(s) did not match any item`);
+  }
+  if (parsed.items.length < 2) parsed.warnings.push('At least two items are needed to rank');
+  importPreview = { title: $('#import-title').value.trim() || 'Custom list', ...parsed };
+  renderImportPreview();
+}
+
+async function startImported(mode) {
+  if (!importPreview) return;
+  try { saveCustomDataset(importPreview.title, importPreview.items); }
+  catch (e) { console.error(e); toast('Not enough browser storage for this list (try smaller images)', { error: true }); return; }
+  await switchDataset(CUSTOM_DATASET_ID);
+  renderDatasetSelect();
+  $('#import-panel').hidden = true;
+  if (mode === 'picker') await startPickerMode();
+  else await startSorting();
+}
+
+function initItemImport() {
+  const toggle = $('#btn-import-items');
+  const panel = $('#import-panel');
+  if (!toggle || !panel) return;
+  toggle.onclick = () => { panel.hidden = !panel.hidden; };
+  $('#btn-import-preview').onclick = () => previewImport().catch(e => { console.error(e); toast('Import failed', { error: true }); });
+  $('#btn-import-picker').onclick = () => startImported('picker').catch(e => { console.error(e); toast('Start failed', { error: true }); });
+  $('#btn-import-pairwise').onclick = () => startImported('pairwise').catch(e => { console.error(e); toast('Start failed', { error: true }); });
+  $('#btn-import-cancel').onclick = () => { importPreview = null; renderImportPreview(); panel.hidden = true; };
+  renderImportPreview();
+}
+
+restoreCustomDataset();
+
+window.parseItemList = parseItemList;
+window.initItemImport = initItemImport;
@@ -14,12 +14,23 @@ const PICKER_CONFIG = {
 
 const PICKER_LS_KEY = 'pps.v1.picker';
 
+// Picker progress is stored per dataset (see datasets.js)
+function pickerStorageKey() {
+    return datasetStorageKey(PICKER_LS_KEY);
+}
+
 // --- Picker State -----------------------------------------------------------
 class PresidentialPicker {
     constructor(items, options = {}) {
-        this.allItems = items.slice(); // all president objects
+        this.allItems = items.slice(); // all item objects of the active dataset
         this.options = options;
 
+        // Where progress is saved; sub-sessions (e.g. re-sorting a slice) pass their own key
+        this.storageKey = options.storageKey || pickerStorageKey();
+
+        // Top-N: stop once this many favorites are found (null = rank everything)
+        this.topK = options.topK > 0 && options.topK < items.length ? options.topK : null;
+
         // State arrays
         this.eliminated = [];      // { id, eliminatedBy: [id, ...] }
         this.survived = [];        // ids that survived current round
@@ -83,6 +94,12 @@ class PresidentialPicker {
     nextBatch() {
         console.log('[nextBatch] START - current:', this.current.length, 'survived:', this.survived.length, 'eliminated:', this.eliminated.length, 'favorites:', this.favorites.length);
 
+        // Top-N reached: nothing more to evaluate
+        if (this.isComplete()) {
+            this.evaluating = [];
+            return;
+        }
+
         // Integrity check: recover any missing items first
         if (this.recoverMissingItems()) {
             console.log('[nextBatch] Recovered missing items to survived');
@@ -318,14 +335,15 @@ class PresidentialPicker {
             favorites: this.favorites,
             batchSize: this.batchSize,
             pickCount: this.pickCount,
+            topK: this.topK,
             historyIndex: this.historyIndex,
             history: this.history
         };
-        localStorage.setItem(PICKER_LS_KEY, JSON.stringify(data));
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
     }
 
     loadState() {
-        const raw = localStorage.getItem(PICKER_LS_KEY);
+        const raw = localStorage.getItem(this.storageKey);
         if (!raw) return false;
 
         try {
@@ -337,6 +355,7 @@ class PresidentialPicker {
             this.favorites = s.favorites || [];
             this.batchSize = s.batchSize || PICKER_CONFIG.MAX_BATCH_SIZE;
             this.pickCount = s.pickCount || 0;
+            if (s.topK !== undefined) this.topK = s.topK;
             this.history = s.history || [];
             this.historyIndex = s.historyIndex ?? -1;
 
@@ -365,7 +384,7 @@ class PresidentialPicker {
     }
 
     clearState() {
-        localStorage.removeItem(PICKER_LS_KEY);
+        localStorage.removeItem(this.storageKey);
     }
 
     // --- Getters ---
@@ -377,20 +396,27 @@ class PresidentialPicker {
         return this.favorites.map(id => this.itemMap.get(id)).filter(Boolean);
     }
 
+    // Items that weren't found before the top-N cutoff, in dataset order
+    getRest() {
+        const found = new Set(this.favorites);
+        return this.allItems.filter(p => !found.has(p.id));
+    }
+
     getProgress() {
-        const total = this.allItems.length;
+        const total = this.topK || this.allItems.length;
         const found = this.favorites.length;
         const remaining = this.current.length + this.survived.length + this.evaluating.length + this.eliminated.length;
 
         // Progress based on how many are found vs how many could still be found
         if (remaining === 0 && found > 0) return 100;
         if (total === 0) return 0;
-        return Math.round((found / total) * 100);
+        return Math.min(100, Math.round((found / total) * 100));
     }
 
     isComplete() {
-        // Complete ONLY when ALL items have been ranked as favorites
+        // Complete ONLY when ALL items have been ranked as favorites (or the top N were found)
         // This is the strict check to ensure no items are lost
+        if (this.topK && this.favorites.length >= this.topK) return true;
         return this.favorites.length === this.allItems.length;
     }
 
@@ -475,6 +501,7 @@ class PickerUI {
         this.elem = elements;
         this.selected = new Set();
         this.favoritesSortable = null;
+        this.listeners = new AbortController();
 
         // Image cache: id -> successful image URL
         this.imageCache = new Map();
@@ -495,8 +522,15 @@ class PickerUI {
         this.initFavoritesSortable();
     }
 
+    // Detach from the shared picker DOM before another session takes it over
+    destroy() {
+        this.listeners.abort();
+        if (this.favoritesSortable) this.favoritesSortable.destroy();
+        this.favoritesSortable = null;
+    }
+
     async preloadImages() {
-        console.log('Preloading images for', this.picker.allItems.length, 'presidents...');
+        console.log('Preloading images for', this.picker.allItems.length, getActiveDataset().itemNounPlural + '...');
         const startTime = Date.now();
 
         const promises = this.picker.allItems.map(person => {
@@ -543,20 +577,21 @@ class PickerUI {
     }
 
     showFindDialog() {
-        const searchTerm = prompt('Enter president name or number to search:');
+        const noun = getActiveDataset().itemNoun;
+        const searchTerm = prompt(`Enter ${noun} name or number to search:`);
         if (!searchTerm) return;
 
         const term = searchTerm.toLowerCase().trim();
 
-        // Try to match by name or number
+        // Try to match by name or badge number
         const matches = this.picker.allItems.filter(p => {
             const name = p.name.toLowerCase();
-            const num = String(p.num);
-            return name.includes(term) || num === term;
+            const badge = itemBadge(p).replace(/^#/, '').toLowerCase();
+            return name.includes(term) || (badge !== '' && badge === term);
         });
 
         if (matches.length === 0) {
-            alert(`No president found matching "${searchTerm}".`);
+            alert(`No ${noun} found matching "${searchTerm}".`);
             return;
         }
 
@@ -574,14 +609,8 @@ class PickerUI {
     }
 
     getPresidentialNumber(person) {
-        // Special handling for presidents with non-consecutive terms
-        if (person.id === 'cleveland') {
-            return '#22 & 24';
-        }
-        if (person.id === 'trump') {
-            return '#45 & 47';
-        }
-        return person.number != null ? `#${person.number}` : '';
+        // Badge text (and per-item overrides) come from the dataset manifest
+        return itemBadge(person);
     }
 
     copyFavoritesList() {
@@ -613,6 +642,9 @@ class PickerUI {
     }
 
     bindEvents() {
+        // One controller per UI so a later session can detach these listeners (see destroy)
+        const signal = this.listeners.signal;
+
         // Item selection via delegation
         this.elem.evaluating.addEventListener('click', (e) => {
             const item = e.target.closest('.picker-item');
@@ -620,7 +652,7 @@ class PickerUI {
                 e.preventDefault();
                 this.toggleSelect(item);
             }
-        });
+        }, { signal });
 
         // Double-click to pick just that item
         this.elem.evaluating.addEventListener('dblclick', (e) => {
@@ -635,38 +667,38 @@ class PickerUI {
                     this.pick();
                 }
             }
-        });
+        }, { signal });
 
         // Pick button
         this.elem.pick.addEventListener('click', (e) => {
             e.preventDefault();
             this.pick();
-        });
+        }, { signal });
 
         // Pass button
         this.elem.pass.addEventListener('click', (e) => {
             e.preventDefault();
             this.pass();
-        });
+        }, { signal });
 
         // Undo button
         this.elem.undo.addEventListener('click', (e) => {
             e.preventDefault();
             this.undo();
-        });
+        }, { signal });
 
         // Redo button  
         this.elem.redo.addEventListener('click', (e) => {
             e.preventDefault();
             this.redo();
-        });
+        }, { signal });
 
         // Reset button
         if (this.elem.reset) {
             this.elem.reset.addEventListener('click', (e) => {
                 e.preventDefault();
                 this.reset();
-            });
+            }, { signal });
         }
 
         // Done button (go to results/tiers)
@@ -674,7 +706,7 @@ class PickerUI {
             this.elem.done.addEventListener('click', (e) => {
                 e.preventDefault();
                 this.finish();
-            });
+            }, { signal });
         }
 
         // Cancel button
@@ -682,7 +714,7 @@ class PickerUI {
             this.elem.cancel.addEventListener('click', (e) => {
                 e.preventDefault();
                 this.cancel();
-            });
+            }, { signal });
         }
 
         // Find president button
@@ -690,7 +722,7 @@ class PickerUI {
             this.elem.find.addEventListener('click', (e) => {
                 e.preventDefault();
                 this.showFindDialog();
-            });
+            }, { signal });
         }
 
         // Copy list button
@@ -698,7 +730,7 @@ class PickerUI {
             this.elem.copyList.addEventListener('click', (e) => {
                 e.preventDefault();
                 this.copyFavoritesList();
-            });
+            }, { signal });
         }
     }
 
@@ -794,7 +826,7 @@ class PickerUI {
     finish() {
         // Transition to results/tier screen with favorites as the ranking
         if (typeof window.pickerFinishCallback === 'function') {
-            window.pickerFinishCallback(this.picker.getFavorites());
+            window.pickerFinishCallback(this.picker.getFavorites(), this.picker.getRest());
         }
     }
 
@@ -849,9 +881,11 @@ class PickerUI {
                 const notice = document.createElement('div');
                 notice.className = 'picker-notice';
 
-                if (found === total) {
+                if (found < total && this.picker.topK) {
+                    notice.innerHTML = `<p>You've found your top ${this.picker.topK}!</p><p class="muted">The other ${total - found} ${getActiveDataset().itemNounPlural} stay unranked.</p><button class="btn" id="picker-reset-inline">Start Over</button>`;
+                } else if (found === total) {
                     notice.innerHTML = this.picker.hasItems()
-                        ? `<p>${this.messages.orderedAll}</p><p class="muted">All ${total} presidents ranked!</p><button class="btn" id="picker-reset-inline">Start Over</button>`
+                        ? `<p>${this.messages.orderedAll}</p><p class="muted">All ${total} ${getActiveDataset().itemNounPlural} ranked!</p><button class="btn" id="picker-reset-inline">Start Over</button>`
                         : `<p>${this.messages.noItems}</p>`;
                 } else {
                     // This shouldn't happen with strict isComplete(), but guard anyway
@@ -926,18 +960,19 @@ class PickerUI {
         // Name label (important for presidents!)
         const name = document.createElement('div');
         name.className = 'picker-name';
-        name.textContent = person.name;
+        name.textContent = itemTitle(person);
 
         // Years label
         const years = document.createElement('div');
         years.className = 'picker-years';
-        years.textContent = person.years;
+        years.textContent = itemSubtitle(person);
 
         // Number badge
-        if (person.number != null) {
+        const badgeText = this.getPresidentialNumber(person);
+        if (badgeText) {
             const badge = document.createElement('span');
             badge.className = 'picker-number';
-            badge.textContent = this.getPresidentialNumber(person);
+            badge.textContent = badgeText;
             el.appendChild(badge);
         }
 
@@ -949,25 +984,11 @@ class PickerUI {
     }
 
     getImageCandidates(person) {
-        const candidates = [];
-        if (person.image) candidates.push(person.image);
-        if (person._resolved) candidates.push(person._resolved);
-        if (person.number != null) {
-            // Try various naming patterns
-            const num = person.number;
-            const numPadded = String(num).padStart(2, '0');
-            candidates.push(
-                `img/President_${numPadded}.png`,
-                `img/President_${num}.png`,
-                `img/${numPadded}.jpg`,
-                `img/${numPadded}.png`,
-                `img/${numPadded}.jpeg`,
-                `img/${num}.jpg`,
-                `img/${num}.png`,
-                `img/${num}.jpeg`
-            );
+        // Already-resolved source first, then the dataset's image patterns
+        const candidates = person._resolved ? [person._resolved] : [];
+        for (const src of itemImageCandidates(person)) {
+            if (!candidates.includes(src)) candidates.push(src);
         }
-        candidates.push(`img/${person.id}.jpg`, `img/${person.id}.png`, `img/${person.id}.jpeg`);
         return candidates;
     }
 
@@ -1064,7 +1085,7 @@ class PickerUI {
 
         const name = document.createElement('span');
         name.className = 'picker-fav-name';
-        name.textContent = person.name;
+        name.textContent = itemTitle(person);
 
         // Number badge for favorites
         const numberBadge = document.createElement('span');
@@ -1098,7 +1119,9 @@ class PickerUI {
         }
 
         if (this.elem.progressText) {
-            this.elem.progressText.textContent = `${found} found · ${remaining} remaining`;
+            this.elem.progressText.textContent = this.picker.topK
+                ? `${found} of top ${this.picker.topK} found`
+                : `${found} found · ${remaining} remaining`;
         }
     }
 
@@ -1139,15 +1162,18 @@ class PickerUI {
 let pickerInstance = null;
 let pickerUI = null;
 
-async function initPickerMode(data) {
+async function initPickerMode(data, options = {}) {
     // Show loading message
     const statusEl = document.getElementById('picker-status');
     const gridEl = document.getElementById('picker-grid');
     if (statusEl) statusEl.textContent = 'Loading images...';
     if (gridEl) gridEl.innerHTML = '<div class="picker-notice"><p>Preloading images, please wait...</p></div>';
 
-    // Create picker with president data
-    pickerInstance = new PresidentialPicker(data);
+    // A previous session's UI would otherwise keep handling clicks on the same elements
+    if (pickerUI) pickerUI.destroy();
+
+    // Create picker with the active dataset's items
+    pickerInstance = new PresidentialPicker(data, options);
 
     // Check for saved state
     if (!pickerInstance.loadState()) {
@@ -1180,8 +1206,22 @@ async function initPickerMode(data) {
     return { picker: pickerInstance, ui: pickerUI };
 }
 
+// Saved progress of the main picker session, as written by saveState (null when there is none)
+function loadPickerProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(pickerStorageKey()) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+function savePickerProgress(data) {
+    localStorage.setItem(pickerStorageKey(), JSON.stringify(data));
+}
+
 function resetPickerState() {
-    localStorage.removeItem(PICKER_LS_KEY);
+    localStorage.removeItem(pickerStorageKey());
+    if (pickerUI) pickerUI.destroy();
     pickerInstance = null;
     pickerUI = null;
 }
@@ -1192,3 +1232,6 @@ window.PickerUI = PickerUI;
 window.initPickerMode = initPickerMode;
 window.resetPickerState = resetPickerState;
 window.PICKER_CONFIG = PICKER_CONFIG;
+window.pickerStorageKey = pickerStorageKey;
+window.loadPickerProgress = loadPickerProgress;
+window.savePickerProgress = savePickerProgress;
@@ -0,0 +1,213 @@
+/*
+  Preference graph analysis
+  - Builds a directed graph from the pairwise answer cache (edge winner -> loser; ties add no edge)
+  - Cycles (A>B, B>C, C>A) live inside strongly connected components (Tarjan)
+  - The smallest set of contradicting answers is a minimum feedback arc set per component:
+    exact subset DP for small components, the Eades–Lin–Smyth heuristic beyond that
+  - preferenceOrder() turns the graph back into a ranking once contradictions are resolved
+*/
+
+const PREF_GRAPH_CONFIG = {
+  EXACT_MAX: 16, // components up to this size get an exact minimum feedback arc set (2^n · n work)
+};
+
+// cache: { 'A|B': 1 | 0 | -1 } -> { nodes: [id], out: Map<id, Set<id>> }
+function buildPreferenceGraph(cache, ids = null) {
+  const out = new Map();
+  const add = (id) => { if (!out.has(id)) out.set(id, new Set()); };
+  (ids || []).forEach(add);
+  for (const [key, val] of Object.entries(cache || {})) {
+    const parts = key.split('|');
+    if (parts.length !== 2 || parts[0] === parts[1]) continue;
+    const [a, b] = parts;
+    if (ids && (!out.has(a) || !out.has(b))) continue;
+    add(a); add(b);
+    if (val === 1) out.get(a).add(b);
+    else if (val === -1) out.get(b).add(a);
+  }
+  return { nodes: Array.from(out.keys()), out };
+}
+
+// Tarjan's algorithm, iterative so long chains can't overflow the call stack
+function stronglyConnectedComponents(graph) {
+  const index = new Map(); const low = new Map();
+  const onStack = new Set(); const stack = [];
+  const components = [];
+  let counter = 0;
+  for (const root of graph.nodes) {
+    if (index.has(root)) continue;
+    const work = [[root, Array.from(graph.out.get(root) || [])]];
+    index.set(root, counter); low.set(root, counter); counter++;
+    stack.push(root); onStack.add(root);
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const [v, succ] = frame;
+      if (succ.length) {
+        const w = succ.pop();
+        if (!index.has(w)) {
+          index.set(w, counter); low.set(w, counter); counter++;
+          stack.push(w); onStack.add(w);
+          work.push([w, Array.from(graph.out.get(w) || [])]);
+        } else if (onStack.has(w)) {
+          low.set(v, Math.min(low.get(v), index.get(w)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1][0];
+        low.set(parent, Math.min(low.get(parent), low.get(v)));
+      }
+      if (low.get(v) === index.get(v)) {
+        const comp = [];
+        let w;
+        do { w = stack.pop(); onStack.delete(w); comp.push(w); } while (w !== v);
+        components.push(comp);
+      }
+    }
+  }
+  return components;
+}
+
+// Shortest cycle through `start` inside one component (BFS), for a readable example
+function shortestCycleThrough(graph, start, members) {
+  const prev = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length) {
+    const v = queue.shift();
+    for (const w of graph.out.get(v) || []) {
+      if (!members.has(w)) continue;
+      if (w === start) {
+        const path = [];
+        for (let x = v; x != null; x = prev.get(x)) path.unshift(x);
+        return path;
+      }
+      if (!prev.has(w)) { prev.set(w, v); queue.push(w); }
+    }
+  }
+  return null;
+}
+
+// Exact ordering with the fewest backward edges: dp over subsets placed first (ranked higher)
+function exactMinFeedbackOrder(graph, comp) {
+  const n = comp.length;
+  const pos = new Map(comp.map((id, i) => [id, i]));
+  // beats[v]: bitmask of component members v was preferred over
+  const beats = comp.map(v => {
+    let mask = 0;
+    for (const w of graph.out.get(v) || []) if (pos.has(w)) mask |= 1 << pos.get(w);
+    return mask;
+  });
+  const popcount = (x) => { let c = 0; while (x) { x &= x - 1; c++; } return c; };
+  const size = 1 << n;
+  const cost = new Int32Array(size).fill(0x3fffffff);
+  const choice = new Int8Array(size).fill(-1);
+  cost[0] = 0;
+  for (let mask = 0; mask < size; mask++) {
+    if (cost[mask] === 0x3fffffff) continue;
+    for (let v = 0; v < n; v++) {
+      if (mask & (1 << v)) continue;
+      // placing v below everything in mask: each answer "v over mask member" is contradicted
+      const next = mask | (1 << v);
+      const c = cost[mask] + popcount(beats[v] & mask);
+      if (c < cost[next]) { cost[next] = c; choice[next] = v; }
+    }
+  }
+  const order = [];
+  for (let mask = size - 1; mask; mask &= ~(1 << choice[mask])) order.unshift(comp[choice[mask]]);
+  return order;
+}
+
+// Eades–Lin–Smyth: peel sinks to the bottom, sources to the top, else the max (out − in) node
+function heuristicFeedbackOrder(graph, comp) {
+  const members = new Set(comp);
+  const outs = new Map(); const ins = new Map();
+  comp.forEach(v => { outs.set(v, new Set()); ins.set(v, new Set()); });
+  comp.forEach(v => (graph.out.get(v) || new Set()).forEach(w => {
+    if (members.has(w)) { outs.get(v).add(w); ins.get(w).add(v); }
+  }));
+  const remove = (v) => {
+    members.delete(v);
+    outs.get(v).forEach(w => ins.get(w).delete(v));
+    ins.get(v).forEach(u => outs.get(u).delete(v));
+  };
+  const top = []; const bottom = [];
+  while (members.size) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const v of Array.from(members)) {
+        if (outs.get(v).size === 0) { bottom.unshift(v); remove(v); changed = true; }
+        else if (ins.get(v).size === 0) { top.push(v); remove(v); changed = true; }
+      }
+    }
+    if (!members.size) break;
+    let best = null; let bestDelta = -Infinity;
+    for (const v of members) {
+      const delta = outs.get(v).size - ins.get(v).size;
+      if (delta > bestDelta) { bestDelta = delta; best = v; }
+    }
+    top.push(best); remove(best);
+  }
+  return top.concat(bottom);
+}
+
+function feedbackOrder(graph, comp) {
+  return comp.length <= PREF_GRAPH_CONFIG.EXACT_MAX ? exactMinFeedbackOrder(graph, comp) : heuristicFeedbackOrder(graph, comp);
+}
+
+// Full analysis: cyclic components, an example cycle for each, and the contradicting answers
+function analyzePreferences(cache, ids = null) {
+  const graph = buildPreferenceGraph(cache, ids);
+  const components = stronglyConnectedComponents(graph).filter(c => c.length > 1);
+  const cycles = []; const contradictions = [];
+  for (const comp of components) {
+    const members = new Set(comp);
+    cycles.push(shortestCycleThrough(graph, comp[0], members) || comp);
+    const order = feedbackOrder(graph, comp);
+    const rank = new Map(order.map((id, i) => [id, i]));
+    // an answer is contradicted when its winner ends up below its loser
+    for (const v of comp) {
+      for (const w of graph.out.get(v) || []) {
+        if (members.has(w) && rank.get(v) > rank.get(w)) contradictions.push([v, w]);
+      }
+    }
+  }
+  return { graph, components, cycles, contradictions, exact: components.every(c => c.length <= PREF_GRAPH_CONFIG.EXACT_MAX) };
+}
+
+// Ranking consistent with the answers: topological order of the component DAG, each cyclic
+// component laid out by its feedback-arc ordering; unconstrained choices keep `baseOrder` positions
+function preferenceOrder(cache, baseOrder) {
+  const graph = buildPreferenceGraph(cache, baseOrder);
+  const basePos = new Map(baseOrder.map((id, i) => [id, i]));
+  const compOf = new Map();
+  const groups = stronglyConnectedComponents(graph).map(comp => ({
+    members: comp.length > 1 ? feedbackOrder(graph, comp) : comp,
+    key: Math.min(...comp.map(id => basePos.get(id) ?? Infinity)),
+  }));
+  groups.forEach((g, gi) => g.members.forEach(id => compOf.set(id, gi)));
+  const indeg = groups.map(() => 0);
+  const succ = groups.map(() => new Set());
+  for (const [v, ws] of graph.out) {
+    for (const w of ws) {
+      const a = compOf.get(v); const b = compOf.get(w);
+      if (a !== b && !succ[a].has(b)) { succ[a].add(b); indeg[b]++; }
+    }
+  }
+  // Kahn's algorithm, always taking the ready group that sat highest in the base order
+  const ready = groups.map((_, i) => i).filter(i => indeg[i] === 0);
+  const out = [];
+  while (ready.length) {
+    ready.sort((x, y) => groups[x].key - groups[y].key);
+    const gi = ready.shift();
+    out.push(...groups[gi].members);
+    for (const next of succ[gi]) if (--indeg[next] === 0) ready.push(next);
+  }
+  return out;
+}
+
+window.buildPreferenceGraph = buildPreferenceGraph;
+window.stronglyConnectedComponents = stronglyConnectedComponents;
+window.analyzePreferences = analyzePreferences;
+window.preferenceOrder = preferenceOrder;
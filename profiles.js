@@ -0,0 +1,89 @@
+/*
+  Profiles
+  - Separate saves of the same list, e.g. your own ranking next to one opened from a share link
+  - Kept per dataset in one localStorage entry: { [datasetId]: { active, list: [{ id, name }] } }
+  - The default profile uses the plain per-dataset state key, others append '.profile.<id>',
+    so existing saves need no migration
+  - Picker progress stays per dataset
+*/
+
+const PROFILES_KEY = 'pps.v1.profiles';
+const DEFAULT_PROFILE = { id: 'default', name: 'My list' };
+const PROFILE_NAME_MAX = 60;
+
+function readProfiles() {
+  try {
+    const all = JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}');
+    return all && typeof all === 'object' ? all : {};
+  } catch { return {}; }
+}
+
+// { active, list } for a dataset; the default profile is always first
+function datasetProfiles(ds = getActiveDataset()) {
+  const entry = readProfiles()[ds.id] || {};
+  const list = (Array.isArray(entry.list) ? entry.list : [])
+    .filter(p => p && typeof p.id === 'string' && p.id !== DEFAULT_PROFILE.id && typeof p.name === 'string');
+  const active = list.some(p => p.id === entry.active) ? entry.active : DEFAULT_PROFILE.id;
+  return { active, list: [DEFAULT_PROFILE, ...list] };
+}
+
+function writeDatasetProfiles({ active, list }, ds = getActiveDataset()) {
+  const all = readProfiles();
+  all[ds.id] = { active, list: list.filter(p => p.id !== DEFAULT_PROFILE.id) };
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(all));
+}
+
+function activeProfile() {
+  const { active, list } = datasetProfiles();
+  return list.find(p => p.id === active);
+}
+
+// Appended to the dataset's state key (see stateKey in app.js)
+function profileKeySuffix(id = datasetProfiles().active) {
+  return id === DEFAULT_PROFILE.id ? '' : `.profile.${id}`;
+}
+
+function setActiveProfile(id) {
+  const profiles = datasetProfiles();
+  if (!profiles.list.some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+  writeDatasetProfiles({ ...profiles, active: id });
+}
+
+// Adds a profile (not yet active) and returns its id
+function createProfile(name) {
+  const profiles = datasetProfiles();
+  const id = `p${Date.now().toString(36)}`;
+  const clean = String(name || '').trim().slice(0, PROFILE_NAME_MAX) || `Profile ${profiles.list.length + 1}`;
+  writeDatasetProfiles({ ...profiles, list: profiles.list.concat({ id, name: clean }) });
+  return id;
+}
+
+// Drops the profile and its saved state; the default profile can't be deleted
+function deleteProfile(id) {
+  if (id === DEFAULT_PROFILE.id) return;
+  const profiles = datasetProfiles();
+  localStorage.removeItem(datasetStorageKey(LS_KEY) + profileKeySuffix(id));
+  writeDatasetProfiles({
+    active: profiles.active === id ? DEFAULT_PROFILE.id : profiles.active,
+    list: profiles.list.filter(p => p.id !== id),
+  });
+}
+
+function renderProfileSelect() {
+  const select = $('#profile-select');
+  if (!select) return;
+  const { active, list } = datasetProfiles();
+  select.innerHTML = '';
+  list.forEach(p => select.appendChild(new Option(p.name, p.id)));
+  select.value = active;
+  // Nothing to choose between until a second profile exists
+  $('#welcome-profile').hidden = list.length < 2;
+  $('#btn-profile-delete').disabled = active === DEFAULT_PROFILE.id;
+}
+
+window.activeProfile = activeProfile;
+window.profileKeySuffix = profileKeySuffix;
+window.setActiveProfile = setActiveProfile;
+window.createProfile = createProfile;
+window.deleteProfile = deleteProfile;
+window.renderProfileSelect = renderProfileSelect;
@@ -0,0 +1,299 @@
+/*
+  QR code encoder (ISO/IEC 18004), fully client-side
+  - Byte mode only (share links are plain ASCII), versions 1–40, error correction L / M / Q / H
+  - Picks the smallest version that fits, then the mask with the lowest penalty score
+  - encodeQr() returns { version, size, modules } with modules[y][x] true for dark;
+    it throws QrTooLargeError when the text doesn't fit a version 40 code at the chosen level
+  - qrToCanvas() draws the result with a quiet zone, for display and PNG download
+*/
+
+const QR_EC_LEVELS = {
+  L: { format: 1, label: 'Low (~7%)' },
+  M: { format: 0, label: 'Medium (~15%)' },
+  Q: { format: 3, label: 'Quartile (~25%)' },
+  H: { format: 2, label: 'High (~30%)' },
+};
+// Per level, indexed by version (index 0 unused)
+const QR_ECC_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+const QR_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+class QrTooLargeError extends Error {
+  constructor(bytes, level) {
+    super(`${bytes} bytes is more than a QR code holds at error correction ${level} (max ${qrCapacity(level)})`);
+    this.name = 'QrTooLargeError';
+    this.bytes = bytes;
+    this.level = level;
+  }
+}
+
+// --- Sizes ------------------------------------------------------------------------
+function qrRawModules(version) {
+  let n = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (version >= 7) n -= 36;
+  }
+  return n;
+}
+
+function qrDataCodewords(version, level) {
+  return Math.floor(qrRawModules(version) / 8) - QR_ECC_PER_BLOCK[level][version] * QR_BLOCKS[level][version];
+}
+
+// Byte-mode capacity: 4-bit mode, 8- or 16-bit length, then the data
+const qrLengthBits = (version) => (version <= 9 ? 8 : 16);
+const qrCapacity = (level, version = 40) => Math.floor((qrDataCodewords(version, level) * 8 - 4 - qrLengthBits(version)) / 8);
+
+function qrAlignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const out = [6];
+  for (let pos = version * 4 + 10; out.length < count; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+// --- Reed–Solomon over GF(256), polynomial 0x11D ------------------------------------
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const out = new Array(degree).fill(0);
+  out[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      out[j] = gfMultiply(out[j], root);
+      if (j + 1 < degree) out[j] ^= out[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return out;
+}
+
+function rsRemainder(data, divisor) {
+  const out = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ out.shift();
+    out.push(0);
+    divisor.forEach((coef, i) => { out[i] ^= gfMultiply(coef, factor); });
+  }
+  return out;
+}
+
+// --- Codewords ----------------------------------------------------------------------
+function qrDataBits(bytes, version) {
+  const bits = [];
+  const push = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, qrLengthBits(version));
+  bytes.forEach(b => push(b, 8));
+  return bits;
+}
+
+// Data codewords (terminated and padded), split into blocks, EC added, then interleaved
+function qrCodewords(bytes, version, level) {
+  const capacity = qrDataCodewords(version, level) * 8;
+  const bits = qrDataBits(bytes, version);
+  bits.push(...new Array(Math.min(4, capacity - bits.length)).fill(0));
+  while (bits.length % 8) bits.push(0);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+  for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const blockCount = QR_BLOCKS[level][version];
+  const eccLen = QR_ECC_PER_BLOCK[level][version];
+  const raw = Math.floor(qrRawModules(version) / 8);
+  const shortBlocks = blockCount - (raw % blockCount);
+  const shortLen = Math.floor(raw / blockCount);
+  const divisor = rsDivisor(eccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortLen - eccLen + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = rsRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0); // placeholder so every block has the same length
+    blocks.push(block.concat(ecc));
+  }
+  const out = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => { if (i !== shortLen - eccLen || j >= shortBlocks) out.push(block[i]); });
+  }
+  return out;
+}
+
+// --- Matrix -------------------------------------------------------------------------
+function qrFunctionPatterns(version, size) {
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; reserved[y][x] = true; };
+  for (let i = 0; i < size; i++) { set(6, i, i % 2 === 0); set(i, 6, i % 2 === 0); }
+  // finders with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx; const y = cy + dy;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  });
+  const align = qrAlignmentPositions(version);
+  align.forEach((cy, i) => align.forEach((cx, j) => {
+    // skip the three that would sit on a finder
+    if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+  }));
+  // format areas are reserved now and filled once the mask is known
+  for (let i = 0; i < 9; i++) { reserved[8][i] = true; reserved[i][8] = true; }
+  for (let i = 0; i < 8; i++) { reserved[8][size - 1 - i] = true; reserved[size - 1 - i][8] = true; }
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3); const b = Math.floor(i / 3);
+      set(a, b, dark); set(b, a, dark);
+    }
+  }
+  return { modules, reserved };
+}
+
+function qrDrawFormat(modules, level, mask) {
+  const size = modules.length;
+  const data = (QR_EC_LEVELS[level].format << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+  modules[7][8] = bit(6); modules[8][8] = bit(7); modules[8][7] = bit(8);
+  for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+  for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+  for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+  modules[size - 8][8] = true; // always-dark module
+}
+
+// Zigzag placement, two columns at a time from the bottom right, skipping the vertical timing column
+function qrPlaceCodewords(modules, reserved, codewords) {
+  const size = modules.length;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let v = 0; v < size; v++) {
+      const y = upward ? size - 1 - v : v;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x]) continue;
+        if (i < codewords.length * 8) modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+function qrApplyMask(modules, reserved, mask) {
+  const fn = QR_MASKS[mask];
+  return modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== fn(x, y))));
+}
+
+// Standard penalty rules: runs of 5+, 2×2 blocks, finder-like patterns, dark/light balance
+function qrPenalty(m) {
+  const size = m.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) { lines.push(m[i]); lines.push(m.map(row => row[i])); }
+  const finder = [1, 0, 1, 1, 1, 0, 1];
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) { run++; continue; }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finder.every((b, k) => line[i + k] === (b === 1))) continue;
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+      const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !line[i + k]);
+      if (lightBefore || lightAfter) score += 40;
+    }
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (m[y][x]) dark++;
+      if (x < size - 1 && y < size - 1 && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+    }
+  }
+  score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+  return score;
+}
+
+function encodeQr(text, level = 'M') {
+  if (!QR_EC_LEVELS[level]) throw new Error(`Unknown error correction level: ${level}`);
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (version <= 40 && qrCapacity(level, version) < bytes.length) version++;
+  if (version > 40) throw new QrTooLargeError(bytes.length, level);
+  const size = version * 4 + 17;
+  const { modules, reserved } = qrFunctionPatterns(version, size);
+  qrPlaceCodewords(modules, reserved, qrCodewords(bytes, version, level));
+  let best = null;
+  QR_MASKS.forEach((_, mask) => {
+    const masked = qrApplyMask(modules, reserved, mask);
+    qrDrawFormat(masked, level, mask);
+    const penalty = qrPenalty(masked);
+    if (!best || penalty < best.penalty) best = { penalty, mask, modules: masked };
+  });
+  return { version, size, level, mask: best.mask, modules: best.modules };
+}
+
+// --- Drawing ------------------------------------------------------------------------
+// 4-module quiet zone; `scale` pixels per module
+function qrToCanvas(qr, { scale = 8, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = (qr.size + margin * 2) * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = light;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = dark;
+  qr.modules.forEach((row, y) => row.forEach((on, x) => {
+    if (on) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+  }));
+  return canvas;
+}
+
+window.QR_EC_LEVELS = QR_EC_LEVELS;
+window.QrTooLargeError = QrTooLargeError;
+window.qrCapacity = qrCapacity;
+window.encodeQr = encodeQr;
+window.qrToCanvas = qrToCanvas;
@@ -0,0 +1,204 @@
+/*
+  Rank aggregation
+  - A ballot is one person's ranking as tie groups, best first: { name, groups: [[id, …], …] };
+    items a ballot doesn't rank count as tied below everything it does rank
+  - Methods: Borda count, Kemeny–Young (exact DP over subsets up to KEMENY_EXACT_MAX items, otherwise
+    Borda order improved by single-item moves until no move helps), Schulze and mean rank
+  - Each method returns the consensus order plus a per-item score for display
+  - Also: each ballot's agreement with the consensus (Kendall) and how contested each item is
+*/
+
+const KEMENY_EXACT_MAX = 14;
+
+// --- Ballots --------------------------------------------------------------------
+// id -> { rank, ranked }; tied items share their average position, unranked items the average of the rest
+function ballotRanks(ballot, ids) {
+  const out = new Map();
+  const known = new Set(ids);
+  let pos = 0;
+  ballot.groups.forEach(group => {
+    const members = group.filter(id => known.has(id) && !out.has(id));
+    members.forEach(id => out.set(id, { rank: pos + (members.length + 1) / 2, ranked: true }));
+    pos += members.length;
+  });
+  const rest = ids.filter(id => !out.has(id));
+  rest.forEach(id => out.set(id, { rank: pos + (rest.length + 1) / 2, ranked: false }));
+  return out;
+}
+
+// wins[i][j]: how many ballots put ids[i] strictly above ids[j]
+function pairwiseWins(rankMaps, ids) {
+  const n = ids.length;
+  const wins = Array.from({ length: n }, () => new Array(n).fill(0));
+  rankMaps.forEach(ranks => {
+    const r = ids.map(id => ranks.get(id).rank);
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) if (r[i] < r[j]) wins[i][j]++;
+  });
+  return wins;
+}
+
+// --- Methods ----------------------------------------------------------------------
+// Sort indices by score (higher first unless `ascending`), breaking ties with Borda points
+function orderByScore(ids, score, tiebreak, ascending = false) {
+  const idx = ids.map((_, i) => i);
+  idx.sort((a, b) => (ascending ? score[a] - score[b] : score[b] - score[a]) || tiebreak[b] - tiebreak[a] || a - b);
+  return idx;
+}
+
+const bordaPoints = (wins) => wins.map(row => row.reduce((a, b) => a + b, 0));
+
+function bordaOrder({ ids, wins }) {
+  const points = bordaPoints(wins);
+  return { order: orderByScore(ids, points, points), score: points, format: (v) => `${v} pts` };
+}
+
+// Average position over the ballots that actually rank the item; unranked everywhere goes last
+function meanRankOrder({ ids, wins, rankMaps }) {
+  const mean = ids.map(id => {
+    const ranked = rankMaps.map(m => m.get(id)).filter(r => r.ranked);
+    return ranked.length ? ranked.reduce((a, r) => a + r.rank, 0) / ranked.length : Infinity;
+  });
+  return { order: orderByScore(ids, mean, bordaPoints(wins), true), score: mean, format: (v) => (Number.isFinite(v) ? `avg ${v.toFixed(2)}` : 'unranked') };
+}
+
+// Strongest paths (Floyd–Warshall on widest paths); the winner count gives the Schulze order
+function schulzeOrder({ ids, wins }) {
+  const n = ids.length;
+  const p = wins.map((row, i) => row.map((w, j) => (i !== j && w > wins[j][i] ? w : 0)));
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      if (i === k) continue;
+      for (let j = 0; j < n; j++) {
+        if (j === i || j === k) continue;
+        p[i][j] = Math.max(p[i][j], Math.min(p[i][k], p[k][j]));
+      }
+    }
+  }
+  const beats = p.map((row, i) => row.reduce((c, v, j) => c + (v > p[j][i] ? 1 : 0), 0));
+  return { order: orderByScore(ids, beats, bordaPoints(wins)), score: beats, format: (v) => `beats ${v}` };
+}
+
+// Disagreements of an order: pairs it puts one way that ballots put the other
+function kemenyCost(order, wins) {
+  let cost = 0;
+  for (let a = 0; a < order.length; a++) for (let b = a + 1; b < order.length; b++) cost += wins[order[b]][order[a]];
+  return cost;
+}
+
+function kemenyExact(wins) {
+  const n = wins.length;
+  const size = 1 << n;
+  const best = new Float64Array(size).fill(Infinity);
+  const last = new Int8Array(size).fill(-1);
+  best[0] = 0;
+  for (let set = 0; set < size; set++) {
+    if (best[set] === Infinity) continue;
+    for (let j = 0; j < n; j++) {
+      if (set & (1 << j)) continue;
+      // j goes right after everything in `set`: pay for each placed item that ballots prefer j to
+      let cost = best[set];
+      for (let i = 0; i < n; i++) if (set & (1 << i)) cost += wins[j][i];
+      const next = set | (1 << j);
+      if (cost < best[next]) { best[next] = cost; last[next] = j; }
+    }
+  }
+  const order = [];
+  for (let set = size - 1; set; set &= ~(1 << last[set])) order.unshift(last[set]);
+  return order;
+}
+
+// Local search: move single items to their best position while that lowers the cost
+function kemenyImprove(order, wins) {
+  order = order.slice();
+  for (let pass = 0, improved = true; improved && pass < 100; pass++) {
+    improved = false;
+    for (let from = 0; from < order.length; from++) {
+      const item = order[from];
+      const rest = order.filter((_, i) => i !== from);
+      // delta: cost of inserting after rest[0..k] relative to inserting first, built up left to right
+      let bestPos = 0; let bestDelta = 0; let delta = 0; let current = 0;
+      for (let k = 0; k < rest.length; k++) {
+        delta += wins[item][rest[k]] - wins[rest[k]][item];
+        if (k + 1 === from) current = delta;
+        if (delta < bestDelta) { bestDelta = delta; bestPos = k + 1; }
+      }
+      if (bestDelta < current) {
+        rest.splice(bestPos, 0, item);
+        order = rest;
+        improved = true;
+      }
+    }
+  }
+  return order;
+}
+
+function kemenyOrder({ ids, wins }) {
+  const exact = ids.length <= KEMENY_EXACT_MAX;
+  const order = exact ? kemenyExact(wins) : kemenyImprove(bordaOrder({ ids, wins }).order, wins);
+  const position = new Array(ids.length);
+  order.forEach((i, pos) => { position[i] = pos + 1; });
+  const cost = kemenyCost(order, wins);
+  return {
+    order,
+    score: position,
+    format: () => '',
+    note: `${cost} pairwise disagreements${exact ? ' (exact optimum)' : ' (heuristic: local search from the Borda order)'}`,
+  };
+}
+
+const AGGREGATE_METHODS = [
+  { id: 'borda', label: 'Borda count', run: bordaOrder },
+  { id: 'kemeny', label: 'Kemeny–Young', run: kemenyOrder },
+  { id: 'schulze', label: 'Schulze', run: schulzeOrder },
+  { id: 'mean', label: 'Mean rank', run: meanRankOrder },
+];
+
+// ballots + item ids -> { order: ids best first, score: id -> formatted score, note, rankMaps }
+function aggregateRankings(ballots, ids, methodId) {
+  const method = AGGREGATE_METHODS.find(m => m.id === methodId) || AGGREGATE_METHODS[0];
+  const rankMaps = ballots.map(b => ballotRanks(b, ids));
+  const wins = pairwiseWins(rankMaps, ids);
+  const res = method.run({ ids, wins, rankMaps });
+  return {
+    method,
+    order: res.order.map(i => ids[i]),
+    score: Object.fromEntries(ids.map((id, i) => [id, res.format(res.score[i])])),
+    note: res.note || '',
+    rankMaps,
+  };
+}
+
+// --- Agreement ----------------------------------------------------------------------
+// Share of the pairs a ballot orders strictly that the consensus orders the same way, and the
+// mean distance between the ballot's positions and the consensus positions over its ranked items
+function ballotAgreement(ranks, order) {
+  const pos = new Map(order.map((id, i) => [id, i + 1]));
+  let agree = 0; let pairs = 0; let shift = 0; let ranked = 0;
+  order.forEach((a, i) => {
+    const ra = ranks.get(a);
+    if (ra.ranked) { shift += Math.abs(ra.rank - pos.get(a)); ranked++; }
+    for (let j = i + 1; j < order.length; j++) {
+      const rb = ranks.get(order[j]);
+      if (ra.rank === rb.rank) continue;
+      pairs++;
+      if (ra.rank < rb.rank) agree++;
+    }
+  });
+  return { agreement: pairs ? agree / pairs : 1, meanShift: ranked ? shift / ranked : 0 };
+}
+
+// Items whose positions vary most across the ballots that rank them (standard deviation)
+function contestedItems(rankMaps, ids, limit = 8) {
+  return ids.map(id => {
+    const ranks = rankMaps.map(m => m.get(id)).filter(r => r.ranked).map(r => r.rank);
+    if (ranks.length < 2) return null;
+    const mean = ranks.reduce((a, b) => a + b, 0) / ranks.length;
+    const sd = Math.sqrt(ranks.reduce((a, r) => a + (r - mean) ** 2, 0) / ranks.length);
+    return { id, sd, best: Math.min(...ranks), worst: Math.max(...ranks) };
+  }).filter(Boolean).sort((a, b) => b.sd - a.sd).slice(0, limit).filter(c => c.sd > 0);
+}
+
+window.AGGREGATE_METHODS = AGGREGATE_METHODS;
+window.aggregateRankings = aggregateRankings;
+window.ballotAgreement = ballotAgreement;
+window.contestedItems = contestedItems;
@@ -0,0 +1,66 @@
+/*
+  Rank correlation between two orderings
+  - Input: two id -> rank maps (equal ranks are ties); only ids present in both are compared,
+    re-ranked 1..n among themselves with ties sharing their average position
+  - Kendall tau-b (tie-corrected), Spearman rho (Pearson on the ranks) and Spearman's footrule
+    (sum of absolute rank differences, with its maximum ⌊n²/2⌋ for scale)
+*/
+
+// ids -> average ranks 1..n by the given rank values
+function averageRanks(ids, rankOf) {
+  const sorted = ids.slice().sort((a, b) => rankOf(a) - rankOf(b));
+  const out = new Map();
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && rankOf(sorted[j + 1]) === rankOf(sorted[i])) j++;
+    for (let k = i; k <= j; k++) out.set(sorted[k], (i + j) / 2 + 1);
+    i = j + 1;
+  }
+  return out;
+}
+
+function kendallTauB(ids, a, b) {
+  let concordant = 0; let discordant = 0; let tiesA = 0; let tiesB = 0;
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const da = Math.sign(a.get(ids[i]) - a.get(ids[j]));
+      const db = Math.sign(b.get(ids[i]) - b.get(ids[j]));
+      if (!da) tiesA++;
+      if (!db) tiesB++;
+      if (da && db) { if (da === db) concordant++; else discordant++; }
+    }
+  }
+  const pairs = (ids.length * (ids.length - 1)) / 2;
+  const denom = Math.sqrt((pairs - tiesA) * (pairs - tiesB));
+  return denom ? (concordant - discordant) / denom : 0;
+}
+
+function spearmanRho(ids, a, b) {
+  const n = ids.length;
+  const mean = (n + 1) / 2;
+  let cov = 0; let va = 0; let vb = 0;
+  ids.forEach(id => {
+    const x = a.get(id) - mean; const y = b.get(id) - mean;
+    cov += x * y; va += x * x; vb += y * y;
+  });
+  return va && vb ? cov / Math.sqrt(va * vb) : 0;
+}
+
+// rankA, rankB: Map id -> rank (lower is better)
+function compareRankings(rankA, rankB) {
+  const ids = Array.from(rankA.keys()).filter(id => rankB.has(id));
+  const a = averageRanks(ids, id => rankA.get(id));
+  const b = averageRanks(ids, id => rankB.get(id));
+  const footrule = ids.reduce((sum, id) => sum + Math.abs(a.get(id) - b.get(id)), 0);
+  return {
+    ids,
+    ranksA: a,
+    ranksB: b,
+    kendall: kendallTauB(ids, a, b),
+    spearman: spearmanRho(ids, a, b),
+    footrule,
+    footruleMax: Math.floor((ids.length * ids.length) / 2),
+  };
+}
+
+window.compareRankings = compareRankings;
@@ -0,0 +1,165 @@
+/*
+  Rating engines for the rating-based sorter
+  - Elo, Glicko-2 and TrueSkill behind one interface:
+      create() -> player, update(a, b, score, opts) -> [a', b'],
+      rating(player) -> display rating, deviation(player) -> display uncertainty (1 SD)
+  - score is 1 (a preferred), 0.5 (tie), 0 (b preferred); players are plain JSON so they persist in state
+  - Display numbers share one Elo-like scale (1000 = average, +400 ≈ 10:1 odds) so they stay comparable
+*/
+
+const RATING_BASE = 1000;
+const RATING_UNCERTAIN_DEVIATION = 120; // flag items whose 1-SD uncertainty is still above this
+
+// Complementary error function (Numerical Recipes erfcc, fractional error < 1.2e-7 everywhere)
+function erfcApprox(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + z / 2);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+const gaussPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+const gaussCdf = (x) => erfcApprox(-x / Math.SQRT2) / 2;
+
+// Inverse CDF by bisection; only used for constants, so speed doesn't matter
+function gaussPpf(p) {
+  let lo = -10; let hi = 10;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (gaussCdf(mid) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// --- Elo --------------------------------------------------------------------
+// Elo has no notion of uncertainty; deviation is approximated from the number of games played
+const ELO_CONFIG = { K: 32, RD0: 350 };
+
+const eloEngine = {
+  id: 'elo',
+  label: 'Elo',
+  create: () => ({ r: RATING_BASE, games: 0 }),
+  update(a, b, score, { kFactor = ELO_CONFIG.K } = {}) {
+    const expected = 1 / (1 + Math.pow(10, (b.r - a.r) / 400));
+    const delta = kFactor * (score - expected);
+    return [{ r: a.r + delta, games: a.games + 1 }, { r: b.r - delta, games: b.games + 1 }];
+  },
+  rating: (p) => p.r,
+  deviation: (p) => ELO_CONFIG.RD0 / Math.sqrt(1 + p.games),
+};
+
+// --- Glicko-2 (Glickman 2012), one rating period per comparison ---------------
+const GLICKO2_CONFIG = { RD0: 350, VOL0: 0.06, TAU: 0.5, EPS: 1e-6, SCALE: 400 / Math.LN10 };
+
+function glicko2Update(p, q, score) {
+  const { SCALE, TAU, EPS } = GLICKO2_CONFIG;
+  const mu = (p.r - RATING_BASE) / SCALE; const phi = p.rd / SCALE;
+  const muJ = (q.r - RATING_BASE) / SCALE; const phiJ = q.rd / SCALE;
+  const g = 1 / Math.sqrt(1 + 3 * phiJ * phiJ / (Math.PI * Math.PI));
+  const E = 1 / (1 + Math.exp(-g * (mu - muJ)));
+  const v = 1 / (g * g * E * (1 - E));
+  const delta = v * g * (score - E);
+  // New volatility (Illinois iteration, step 5 of the paper)
+  const a = Math.log(p.vol * p.vol);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return ex * (delta * delta - phi * phi - v - ex) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+  let A = a; let B;
+  if (delta * delta > phi * phi + v) B = Math.log(delta * delta - phi * phi - v);
+  else { let k = 1; while (f(a - k * TAU) < 0) k++; B = a - k * TAU; }
+  let fA = f(A); let fB = f(B);
+  while (Math.abs(B - A) > EPS) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) { A = B; fA = fB; } else fA /= 2;
+    B = C; fB = fC;
+  }
+  const vol = Math.exp(A / 2);
+  const phiStar = Math.sqrt(phi * phi + vol * vol);
+  const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muNew = mu + phiNew * phiNew * g * (score - E);
+  return { r: RATING_BASE + SCALE * muNew, rd: SCALE * phiNew, vol, games: p.games + 1 };
+}
+
+const glicko2Engine = {
+  id: 'glicko2',
+  label: 'Glicko-2',
+  create: () => ({ r: RATING_BASE, rd: GLICKO2_CONFIG.RD0, vol: GLICKO2_CONFIG.VOL0, games: 0 }),
+  update: (a, b, score) => [glicko2Update(a, b, score), glicko2Update(b, a, 1 - score)],
+  rating: (p) => p.r,
+  deviation: (p) => p.rd,
+};
+
+// --- TrueSkill (two players, with an explicit draw margin) -------------------
+const TRUESKILL_CONFIG = { MU0: 25, SIGMA0: 25 / 3, BETA: 25 / 6, TAU: 25 / 300, DRAW_PROBABILITY: 0.1 };
+const TRUESKILL_DRAW_MARGIN = gaussPpf((TRUESKILL_CONFIG.DRAW_PROBABILITY + 1) / 2) * Math.SQRT2 * TRUESKILL_CONFIG.BETA;
+// A 10:1 favourite is gaussPpf(10/11) * √2·β skill points ahead; map that gap to 400 display points
+const TRUESKILL_SCALE = 400 / (gaussPpf(10 / 11) * Math.SQRT2 * TRUESKILL_CONFIG.BETA);
+
+// Truncated-Gaussian corrections (Herbrich et al. 2007); fall back to asymptotes deep in the tails
+function trueskillWin(t, eps) {
+  const x = t - eps;
+  const denom = gaussCdf(x);
+  const v = denom > 1e-12 ? gaussPdf(x) / denom : -x;
+  return { v, w: v * (v + x) };
+}
+
+function trueskillDraw(t, eps) {
+  const denom = gaussCdf(eps - t) - gaussCdf(-eps - t);
+  if (denom < 1e-12) {
+    // Extremely unexpected draw: pull hard toward each other
+    const v = t < 0 ? -t - eps : -t + eps;
+    return { v, w: 1 };
+  }
+  const v = (gaussPdf(-eps - t) - gaussPdf(eps - t)) / denom;
+  const w = v * v + ((eps - t) * gaussPdf(eps - t) + (eps + t) * gaussPdf(eps + t)) / denom;
+  return { v, w };
+}
+
+const trueskillEngine = {
+  id: 'trueskill',
+  label: 'TrueSkill',
+  create: () => ({ mu: TRUESKILL_CONFIG.MU0, sigma: TRUESKILL_CONFIG.SIGMA0, games: 0 }),
+  update(a, b, score) {
+    const { BETA, TAU } = TRUESKILL_CONFIG;
+    // Dynamics: a little variance each game so ratings can still move after many answers
+    const s2a = a.sigma * a.sigma + TAU * TAU;
+    const s2b = b.sigma * b.sigma + TAU * TAU;
+    const c = Math.sqrt(2 * BETA * BETA + s2a + s2b);
+    const eps = TRUESKILL_DRAW_MARGIN / c;
+    // Work from the winner's point of view; a draw is symmetric around a
+    const sign = score < 0.5 ? -1 : 1;
+    const t = sign * (a.mu - b.mu) / c;
+    const { v, w } = score === 0.5 ? trueskillDraw(t, eps) : trueskillWin(t, eps);
+    const next = (mu, s2, dir) => ({
+      mu: mu + dir * sign * (s2 / c) * v,
+      sigma: Math.sqrt(s2 * Math.max(1e-6, 1 - (s2 / (c * c)) * w)),
+    });
+    return [
+      { ...next(a.mu, s2a, 1), games: a.games + 1 },
+      { ...next(b.mu, s2b, -1), games: b.games + 1 },
+    ];
+  },
+  rating: (p) => RATING_BASE + TRUESKILL_SCALE * (p.mu - TRUESKILL_CONFIG.MU0),
+  deviation: (p) => TRUESKILL_SCALE * p.sigma,
+};
+
+// --- Registry -----------------------------------------------------------------
+const RATING_ENGINES = { elo: eloEngine, glicko2: glicko2Engine, trueskill: trueskillEngine };
+const DEFAULT_RATING_ENGINE = 'elo';
+
+function getRatingEngine(id) {
+  return RATING_ENGINES[id] || RATING_ENGINES[DEFAULT_RATING_ENGINE];
+}
+
+function isRatingUncertain(engine, player) {
+  return !!player && engine.deviation(player) > RATING_UNCERTAIN_DEVIATION;
+}
+
+window.RATING_ENGINES = RATING_ENGINES;
+window.getRatingEngine = getRatingEngine;
+window.isRatingUncertain = isRatingUncertain;
@@ -0,0 +1,263 @@
+/*
+  Compact share links (#s=…)
+  - Binary payload: a version byte, a flags byte, then the body, deflated with CompressionStream
+    when the browser has it and it helps
+  - Items are written as their index in the loaded item list (1 byte each up to 256 items), guarded by
+    the list's size and a hash of its ids so a link never lands on a different list
+  - Ranking: item indices plus one bit per neighbour pair for ties
+  - Tiers: the schema (names, colors), then the board order as run lengths per tier; when the board
+    order is the ranking order (the usual case after cutoffs) the indices aren't repeated
+  - Answers (optional): one presence bit per unordered pair, then a 2-bit outcome per answered pair
+  - Decodes to the same shape as the old base64 JSON links (#state=…), so loading code handles both
+*/
+
+const SHARE_FORMAT_VERSION = 2; // 1 was the #state= JSON link
+const SHARE_FLAG_DEFLATE = 1;
+const SHARE_SECTION = { ranking: 1, unranked: 2, tiers: 4, answers: 8, notes: 16, tiersFollowRanking: 32 };
+// Pair outcomes, seen from the lower index: wins, loses, even (skip) and tie
+const SHARE_OUTCOMES = [1, -1, 0, 0];
+
+// --- Bytes ----------------------------------------------------------------------
+function byteWriter() {
+  const out = [];
+  const w = {
+    byte: (b) => { out.push(b & 0xff); return w; },
+    varint: (n) => {
+      n = Math.max(0, Math.floor(n));
+      while (n >= 0x80) { out.push((n % 0x80) | 0x80); n = Math.floor(n / 0x80); }
+      out.push(n);
+      return w;
+    },
+    fixed: (n, width) => { for (let i = width - 1; i >= 0; i--) out.push((n >>> (8 * i)) & 0xff); return w; },
+    string: (s) => { const b = new TextEncoder().encode(String(s ?? '')); w.varint(b.length); b.forEach(x => out.push(x)); return w; },
+    bits: (flags) => {
+      for (let i = 0; i < flags.length; i += 8) {
+        let b = 0;
+        for (let j = 0; j < 8 && i + j < flags.length; j++) if (flags[i + j]) b |= 1 << j;
+        out.push(b);
+      }
+      return w;
+    },
+    done: () => Uint8Array.from(out),
+  };
+  return w;
+}
+
+function byteReader(bytes) {
+  let pos = 0;
+  const take = () => {
+    if (pos >= bytes.length) throw new Error('Share link is truncated');
+    return bytes[pos++];
+  };
+  const r = {
+    byte: take,
+    varint: () => {
+      let n = 0; let scale = 1; let b;
+      do { b = take(); n += (b & 0x7f) * scale; scale *= 0x80; } while (b & 0x80);
+      return n;
+    },
+    fixed: (width) => { let n = 0; for (let i = 0; i < width; i++) n = n * 256 + take(); return n; },
+    string: () => {
+      const len = r.varint();
+      if (pos + len > bytes.length) throw new Error('Share link is truncated');
+      const s = new TextDecoder().decode(bytes.subarray(pos, pos + len));
+      pos += len;
+      return s;
+    },
+    bits: (count) => {
+      const flags = [];
+      for (let i = 0; i < count; i += 8) {
+        const b = take();
+        for (let j = 0; j < 8 && i + j < count; j++) flags.push(!!(b & (1 << j)));
+      }
+      return flags;
+    },
+  };
+  return r;
+}
+
+function bytesToBase64url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+function base64urlToBytes(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (str.length % 4)) % 4));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// FNV-1a over the ids in list order
+function idListHash(ids) {
+  let h = 0x811c9dc5;
+  const bytes = new TextEncoder().encode(ids.join('\n'));
+  for (const b of bytes) h = Math.imul(h ^ b, 0x01000193) >>> 0;
+  return h;
+}
+
+const indexWidth = (n) => (n <= 0x100 ? 1 : n <= 0x10000 ? 2 : 3);
+const pairCount = (n) => (n * (n - 1)) / 2;
+
+// --- Encode ---------------------------------------------------------------------
+// payload: the #state= JSON shape ({ dataset, seed, choices, ties, ranking, unranked, tierSchema, tiers, notes, title });
+// ids: the loaded item list, in order
+async function encodeSharePayload(payload, ids, { answers = true } = {}) {
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const known = (list) => (list || []).filter(id => index.has(id));
+  const width = indexWidth(ids.length);
+  const w = byteWriter();
+  const writeIds = (list) => { w.varint(list.length); list.forEach(id => w.fixed(index.get(id), width)); };
+
+  const ranking = known(payload.ranking);
+  const unranked = known(payload.unranked);
+  const schema = payload.tierSchema || [];
+  const tierKeys = schema.map(t => t.id).concat(UNPLACED_TIER);
+  const board = payload.tiers ? tierKeys.map(key => known(payload.tiers[key])) : null;
+  const boardOrder = board ? board.flat() : [];
+  const rankingOrder = ranking.concat(unranked);
+  const followsRanking = !!board && boardOrder.length === rankingOrder.length && boardOrder.every((id, i) => id === rankingOrder[i]);
+  const cache = answers ? payload.choices || {} : {};
+  const notes = Object.entries(payload.notes || {}).filter(([id, text]) => index.has(id) && text);
+
+  let sections = 0;
+  if (payload.ranking) sections |= SHARE_SECTION.ranking;
+  if (payload.unranked) sections |= SHARE_SECTION.unranked;
+  if (board) sections |= SHARE_SECTION.tiers | (followsRanking ? SHARE_SECTION.tiersFollowRanking : 0);
+  if (answers && Object.keys(cache).length) sections |= SHARE_SECTION.answers;
+  if (notes.length) sections |= SHARE_SECTION.notes;
+
+  w.string(payload.dataset).varint(ids.length).fixed(idListHash(ids), 4);
+  w.string(payload.seed ?? '').string(payload.title || '').byte(sections);
+  if (sections & SHARE_SECTION.ranking) {
+    writeIds(ranking);
+    const ties = payload.ties || {};
+    w.bits(ranking.slice(1).map((id, i) => !!(ties[`${ranking[i]}|${id}`] || ties[`${id}|${ranking[i]}`])));
+  }
+  if (sections & SHARE_SECTION.unranked) writeIds(unranked);
+  if (board) {
+    w.varint(schema.length);
+    schema.forEach(t => w.string(t.name).fixed(parseInt(String(t.color).slice(1), 16) || 0, 3));
+    if (!followsRanking) writeIds(boardOrder);
+    board.forEach(list => w.varint(list.length));
+  }
+  if (sections & SHARE_SECTION.answers) {
+    const present = []; const outcomes = [];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const v = cache[`${ids[i]}|${ids[j]}`];
+        present.push(v != null);
+        if (v == null) continue;
+        const tie = payload.ties && payload.ties[`${ids[i]}|${ids[j]}`];
+        const code = v > 0 ? 0 : v < 0 ? 1 : tie ? 3 : 2;
+        outcomes.push(!!(code & 1), !!(code & 2));
+      }
+    }
+    w.bits(present).bits(outcomes);
+  }
+  if (notes.length) {
+    w.varint(notes.length);
+    notes.forEach(([id, text]) => w.fixed(index.get(id), width).string(text));
+  }
+
+  const body = w.done();
+  let packed = body; let flags = 0;
+  if (typeof CompressionStream === 'function') {
+    const deflated = await pipeBytes(body, new CompressionStream('deflate-raw'));
+    if (deflated.length < body.length) { packed = deflated; flags |= SHARE_FLAG_DEFLATE; }
+  }
+  const out = new Uint8Array(packed.length + 2);
+  out[0] = SHARE_FORMAT_VERSION; out[1] = flags;
+  out.set(packed, 2);
+  return bytesToBase64url(out);
+}
+
+// --- Decode ---------------------------------------------------------------------
+class ShareDatasetError extends Error {
+  constructor(dataset) {
+    super(`Share link was made with the "${dataset}" list`);
+    this.name = 'ShareDatasetError';
+    this.dataset = dataset;
+  }
+}
+
+// Throws on links from another version or item list. With `dataset`, a link made with another list
+// throws ShareDatasetError before its items are checked, so the caller can offer to switch lists
+async function decodeSharePayload(str, ids, dataset = null) {
+  const bytes = base64urlToBytes(str);
+  if (bytes[0] !== SHARE_FORMAT_VERSION) throw new Error(`Unsupported share link version ${bytes[0]}`);
+  let body = bytes.subarray(2);
+  if (bytes[1] & SHARE_FLAG_DEFLATE) {
+    if (typeof DecompressionStream !== 'function') throw new Error('This browser cannot read compressed share links');
+    body = await pipeBytes(body, new DecompressionStream('deflate-raw'));
+  }
+  const r = byteReader(body);
+  const payload = { dataset: r.string() };
+  if (dataset && payload.dataset && payload.dataset !== dataset) throw new ShareDatasetError(payload.dataset);
+  const n = r.varint();
+  if (n !== ids.length || r.fixed(4) !== idListHash(ids)) throw new Error('Share link was made for a different item list');
+  const width = indexWidth(n);
+  const readIds = () => Array.from({ length: r.varint() }, () => {
+    const i = r.fixed(width);
+    if (i >= n) throw new Error('Share link has an unknown item');
+    return ids[i];
+  });
+  const seed = r.string();
+  if (seed) payload.seed = Number(seed) || seed;
+  payload.title = r.string();
+  const sections = r.byte();
+  payload.ties = {};
+  const tie = (a, b) => { payload.ties[`${a}|${b}`] = true; payload.ties[`${b}|${a}`] = true; };
+
+  if (sections & SHARE_SECTION.ranking) {
+    payload.ranking = readIds();
+    r.bits(Math.max(0, payload.ranking.length - 1)).forEach((tied, i) => { if (tied) tie(payload.ranking[i], payload.ranking[i + 1]); });
+  }
+  if (sections & SHARE_SECTION.unranked) payload.unranked = readIds();
+  if (sections & SHARE_SECTION.tiers) {
+    const names = Array.from({ length: r.varint() }, () => ({ name: r.string(), color: `#${r.fixed(3).toString(16).padStart(6, '0')}` }));
+    payload.tierSchema = makeTierSchema(names.map(t => t.name)).map((t, i) => ({ ...t, color: names[i].color }));
+    const order = sections & SHARE_SECTION.tiersFollowRanking ? (payload.ranking || []).concat(payload.unranked || []) : readIds();
+    payload.tiers = {};
+    let at = 0;
+    tierIds(payload.tierSchema).forEach(key => {
+      const len = r.varint();
+      payload.tiers[key] = order.slice(at, at + len);
+      at += len;
+    });
+  }
+  if (sections & SHARE_SECTION.answers) {
+    const present = r.bits(pairCount(n));
+    const outcomes = r.bits(2 * present.filter(Boolean).length);
+    payload.choices = {};
+    let k = 0; let o = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        if (!present[k++]) continue;
+        const code = (outcomes[o] ? 1 : 0) | (outcomes[o + 1] ? 2 : 0);
+        o += 2;
+        const v = SHARE_OUTCOMES[code];
+        payload.choices[`${ids[i]}|${ids[j]}`] = v;
+        payload.choices[`${ids[j]}|${ids[i]}`] = v === 0 ? 0 : -v;
+        if (code === 3) tie(ids[i], ids[j]);
+      }
+    }
+  }
+  if (sections & SHARE_SECTION.notes) {
+    payload.notes = {};
+    for (let c = r.varint(); c > 0; c--) {
+      const i = r.fixed(width);
+      const text = r.string();
+      if (i < n) payload.notes[ids[i]] = text;
+    }
+  }
+  return payload;
+}
+
+window.encodeSharePayload = encodeSharePayload;
+window.decodeSharePayload = decodeSharePayload;
+window.ShareDatasetError = ShareDatasetError;
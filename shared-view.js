@@ -0,0 +1,257 @@
+/*
+  Shared-list viewer
+  - Links with #s= / #state= open here, read-only, instead of being written over the local save
+  - From the viewer the list can be imported as the current profile (after a confirm when that would
+    replace progress), saved as a new profile, compared item by item with your own ranking and tiers, or
+    opened next to your tier list in the tier diff (tier-diff-view.js)
+  - Nothing is stored until one of those is chosen; closing the viewer drops the link from the URL
+*/
+
+let sharedList = null; // decoded share payload shown on the viewer screen
+
+function sharedItems(ids) {
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  return (ids || []).map(id => idMap.get(id)).filter(Boolean);
+}
+
+function sharedSchema(shared = sharedList) {
+  return normalizeTierSchema(shared.tierSchema);
+}
+
+// --- Viewer ---------------------------------------------------------------------
+function makeSharedChip(person, notes) {
+  const chip = document.createElement('li');
+  chip.className = 'shared-chip';
+  const src = (person._resolved ? [person._resolved] : resolveImageSrc(person))[0];
+  if (src) chip.appendChild(imageWithFallback(src, `Portrait of ${person.name}`, { width: 32, height: 40 }));
+  const name = document.createElement('span');
+  name.textContent = itemTitle(person);
+  chip.appendChild(name);
+  const note = notes && notes[person.id];
+  if (note) { chip.title = note; chip.classList.add('has-note'); }
+  return chip;
+}
+
+// Static tier rows (label + item chips); also used for the consensus board in aggregate-view.js and the
+// tier diff, which passes `decorate(chip, id)` to mark each chip
+function renderReadOnlyTiers(wrap, schema, tiers, notes = null, decorate = null) {
+  wrap.innerHTML = '';
+  tierIds(schema).forEach(tier => {
+    const items = sharedItems(tiers[tier]);
+    if (!items.length && tier === UNPLACED_TIER) return;
+    const row = document.createElement('div');
+    row.className = 'shared-tier';
+    const label = document.createElement('div');
+    label.className = 'shared-tier-label';
+    label.textContent = tierLabel(tier, schema);
+    const color = tierColor(tier, schema);
+    if (color) label.style.background = color;
+    const list = document.createElement('ul');
+    list.className = 'shared-tier-items';
+    items.forEach(p => {
+      const chip = makeSharedChip(p, notes);
+      chip.dataset.id = p.id;
+      if (decorate) decorate(chip, p.id);
+      list.appendChild(chip);
+    });
+    row.append(label, list);
+    wrap.appendChild(row);
+  });
+}
+
+function renderSharedTiers() {
+  const schema = sharedSchema();
+  renderReadOnlyTiers($('#shared-tiers'), schema, reconcileTiers(sharedList.tiers || {}, schema), sharedList.notes);
+}
+
+function renderSharedRanking() {
+  const ol = $('#shared-ranking');
+  ol.innerHTML = '';
+  const ranked = sharedItems(sharedList.ranking);
+  const ranks = resultRanks(ranked, sharedList.ties || {});
+  ranked.forEach((p, i) => {
+    const li = document.createElement('li');
+    const num = document.createElement('span'); num.className = 'rankno'; num.textContent = `${ranks[i]}.`;
+    const name = document.createElement('span'); name.textContent = ' ' + itemTitle(p);
+    li.append(num, name);
+    ol.appendChild(li);
+  });
+  const rest = sharedItems(sharedList.unranked);
+  if (rest.length) {
+    const head = document.createElement('li'); head.className = 'results-rest-heading';
+    head.textContent = `Not ranked (${rest.length})`;
+    ol.appendChild(head);
+    rest.forEach(p => {
+      const li = document.createElement('li'); li.className = 'results-rest';
+      const num = document.createElement('span'); num.className = 'rankno'; num.textContent = '–';
+      const name = document.createElement('span'); name.textContent = ' ' + itemTitle(p);
+      li.append(num, name);
+      ol.appendChild(li);
+    });
+  }
+  $('#shared-ranking-section').hidden = !ranked.length && !rest.length;
+}
+
+function renderSharedView() {
+  const title = (sharedList.title || '').trim();
+  $('#shared-title').textContent = title || 'Shared Tier List';
+  const ranked = sharedItems(sharedList.ranking).length;
+  const placed = Object.entries(sharedList.tiers || {}).filter(([tier]) => tier !== UNPLACED_TIER).reduce((n, [, ids]) => n + sharedItems(ids).length, 0);
+  const answers = countUniqueCachePairs(sharedList.choices || {});
+  const parts = [`${ranked} ranked`, `${placed} placed in tiers`];
+  if (answers) parts.push(`${answers} answers`);
+  const otherList = sharedList.dataset && sharedList.dataset !== getActiveDataset().id;
+  $('#shared-summary').textContent = `${getActiveDataset().title}: ${parts.join(' · ')}.`
+    + (otherList ? ` Made with the "${sharedList.dataset}" list; items not in this list are left out.` : '');
+  renderSharedTiers();
+  renderSharedRanking();
+  $('#shared-compare').hidden = true;
+}
+
+function openSharedView(shared) {
+  sharedList = shared;
+  renderSharedView();
+  showScreen('screen-shared');
+}
+
+function closeSharedView() {
+  sharedList = null;
+  history.replaceState(null, '', location.pathname + location.search);
+  renderWelcome();
+  if (state.sorter.result) { renderResults(state.sorter.result); showScreen('screen-results'); }
+  else showScreen('screen-welcome');
+}
+
+// --- Taking the list over -----------------------------------------------------
+// Replace the sorter results, tiers and notes of the current state with the shared ones
+function applySharedState(shared) {
+  const sorter = defaultState().sorter;
+  state.sorter = Object.assign(sorter, {
+    cache: shared.choices || {},
+    ties: shared.ties || {},
+    result: shared.ranking ? sharedItems(shared.ranking) : null,
+    rest: shared.unranked ? sharedItems(shared.unranked) : null,
+  });
+  state.tierSchema = sharedSchema(shared);
+  state.tiers = reconcileTiers(shared.tiers || {}, state.tierSchema);
+  state.tierHistory = { past: [], future: [] };
+  state.notes = sanitizeNotes(shared.notes, new Set(state.data.map(p => p.id)));
+  state.tierTitle = shared.title || '';
+  if (shared.seed) state.seed = shared.seed;
+}
+
+function showImportedList() {
+  sharedList = null;
+  history.replaceState(null, '', location.pathname + location.search);
+  renderWelcome();
+  const placed = tierIds().some(tier => tier !== UNPLACED_TIER && state.tiers[tier].length);
+  if (placed || !state.sorter.result) showTierBoard();
+  else { renderResults(state.sorter.result); showScreen('screen-results'); }
+}
+
+function importSharedList() {
+  const hasProgress = !!state.sorter.result || Object.keys(state.sorter.cache).length > 0
+    || tierIds().some(tier => tier !== UNPLACED_TIER && state.tiers[tier].length);
+  if (hasProgress && !confirm(`Replace your ranking and tier list in "${activeProfile().name}" with the shared one? `
+    + 'Use "Save as a separate profile" to keep both.')) return;
+  applySharedState(sharedList);
+  saveState();
+  toast('Shared list imported', { ok: true });
+  showImportedList();
+}
+
+function saveSharedAsProfile() {
+  const name = prompt('Name for the new profile:', (sharedList.title || '').trim() || 'Shared list');
+  if (name === null) return;
+  const id = createProfile(name);
+  setActiveProfile(id);
+  // Keep the loaded items and display preferences; everything else starts fresh
+  const { data, tierLayout, pngOptions } = state;
+  state = Object.assign(defaultState(), { data, tierLayout, pngOptions });
+  applySharedState(sharedList);
+  saveState();
+  toast(`Saved as profile "${activeProfile().name}"`, { ok: true });
+  showImportedList();
+}
+
+// --- Compare ------------------------------------------------------------------
+// Header row plus one row per item, first cell as the row header (also used by the aggregate and diff screens)
+function fillTable(table, cols, rows, rowClass = null) {
+  table.innerHTML = `<thead><tr>${cols.map(c => `<th scope="col">${c}</th>`).join('')}</tr></thead>`;
+  const body = document.createElement('tbody');
+  rows.forEach((cells, r) => {
+    const tr = document.createElement('tr');
+    if (rowClass && rowClass(r)) tr.className = rowClass(r);
+    cells.forEach((text, i) => {
+      const td = document.createElement(i ? 'td' : 'th');
+      if (!i) td.scope = 'row';
+      td.textContent = String(text);
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+}
+
+// id -> { rank, tier } for one side; rank is null when unranked
+function sideSummary(ranking, ties, tiers, schema) {
+  const out = new Map();
+  const ranks = resultRanks(ranking, ties);
+  ranking.forEach((p, i) => out.set(p.id, { rank: ranks[i], tier: null }));
+  tierIds(schema).forEach(tier => (tiers[tier] || []).forEach(id => {
+    const entry = out.get(id) || { rank: null, tier: null };
+    entry.tier = tier === UNPLACED_TIER ? null : tierLabel(tier, schema);
+    out.set(id, entry);
+  }));
+  return out;
+}
+
+function renderSharedCompare() {
+  const panel = $('#shared-compare');
+  if (!state.sorter.result && !tierIds().some(tier => tier !== UNPLACED_TIER && state.tiers[tier].length)) {
+    toast('You have no ranking or tier list of your own to compare yet', { error: true });
+    return;
+  }
+  const schema = sharedSchema();
+  const theirs = sideSummary(sharedItems(sharedList.ranking), sharedList.ties || {}, reconcileTiers(sharedList.tiers || {}, schema), schema);
+  const mine = sideSummary(state.sorter.result || [], isRatingMode() ? {} : state.sorter.ties, state.tiers, state.tierSchema);
+  const rows = state.data.filter(p => theirs.has(p.id) || mine.has(p.id)).map(p => {
+    const t = theirs.get(p.id) || {}; const m = mine.get(p.id) || {};
+    const delta = t.rank != null && m.rank != null ? m.rank - t.rank : null;
+    return { p, t, m, delta };
+  });
+  rows.sort((a, b) => Math.abs(b.delta ?? 0) - Math.abs(a.delta ?? 0) || (a.t.rank ?? Infinity) - (b.t.rank ?? Infinity));
+
+  const bothTiered = rows.filter(r => r.t.tier && r.m.tier);
+  const sameTier = bothTiered.filter(r => r.t.tier === r.m.tier).length;
+  const deltas = rows.filter(r => r.delta != null).map(r => Math.abs(r.delta));
+  const summary = [];
+  if (bothTiered.length) summary.push(`Same tier name for ${sameTier} of ${bothTiered.length} items placed by both`);
+  if (deltas.length) summary.push(`average rank difference ${(deltas.reduce((a, b) => a + b, 0) / deltas.length).toFixed(1)}`);
+
+  panel.innerHTML = '';
+  const head = document.createElement('p');
+  head.textContent = summary.length ? `${summary.join('; ')}.` : 'No items are ranked or placed by both lists.';
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+  // positive difference: you rank it lower than they do
+  fillTable(table, ['Item', 'Their rank', 'My rank', 'Difference', 'Their tier', 'My tier'],
+    rows.map(({ p, t, m, delta }) => [itemTitle(p), t.rank ?? '–', m.rank ?? '–', delta == null ? '' : delta > 0 ? `+${delta}` : String(delta), t.tier || '–', m.tier || '–']),
+    (i) => (rows[i].t.tier && rows[i].m.tier && rows[i].t.tier !== rows[i].m.tier ? 'compare-tier-differs' : ''));
+  panel.append(head, table);
+  panel.hidden = false;
+  panel.scrollIntoView({ block: 'nearest' });
+}
+
+function initSharedView() {
+  $('#btn-shared-import').onclick = importSharedList;
+  $('#btn-shared-profile').onclick = saveSharedAsProfile;
+  $('#btn-shared-compare').onclick = renderSharedCompare;
+  $('#btn-shared-diff').onclick = () => openTierDiff(diffSideFromPayload((sharedList.title || '').trim() || 'Shared list', sharedList), 'screen-shared');
+  $('#btn-shared-close').onclick = closeSharedView;
+}
+
+window.renderReadOnlyTiers = renderReadOnlyTiers;
+window.fillTable = fillTable;
+window.openSharedView = openSharedView;
+window.initSharedView = initSharedView;
@@ -2,12 +2,13 @@
 """
 sort_sim.py
 
-Simulate interactive sorting using the historical ranking from historical_ranking.csv
+Simulate interactive sorting using the historical ranking from data/surveys/apsa-2024.csv
 and measure the number of pairwise comparisons (choices) required by several
 comparison-based sorting algorithms when they are given the same initial ordering
 method used by the app (a seeded shuffle using xorshift32).
 
-Algorithms included: binary insertion, merge sort, randomized quicksort, heap sort
+Algorithms included: binary insertion, merge-insertion (Ford-Johnson), merge sort,
+randomized quicksort, heap sort
 
 Run: python sort_sim.py
 """
@@ -18,7 +19,7 @@ import random
 from collections import namedtuple
 from copy import deepcopy
 
-CSV_PATH = 'historical_ranking.csv'
+CSV_PATH = 'data/surveys/apsa-2024.csv'
 ATTEMPTS = 100
 
 President = namedtuple('President', ['id', 'name', 'rank'])
@@ -93,6 +94,48 @@ def binary_insertion_sort(arr, cmp_func):
         out.insert(lo, x)
     return out
 
+def merge_insertion_sort(arr, cmp_func):
+    # Ford-Johnson, mirroring fordJohnsonSort in app.js
+    n = len(arr)
+    if n <= 1:
+        return list(arr)
+    pairs = []
+    for i in range(0, n - 1, 2):
+        x, y = arr[i], arr[i + 1]
+        # (smaller, larger): the larger halves are sorted recursively
+        pairs.append((x, y) if cmp_func(x, y) < 0 else (y, x))
+    straggler = arr[-1] if n % 2 else None
+    mains = merge_insertion_sort([p[1] for p in pairs], cmp_func)
+    small_of = {id(p[1]): p[0] for p in pairs}
+    pending = [(small_of[id(m)], m) for m in mains]
+    if straggler is not None:
+        pending.append((straggler, None))
+    chain = [pending[0][0]] + mains
+
+    def insert(x, bound):
+        lo = 0
+        hi = len(chain) if bound is None else next(i for i, c in enumerate(chain) if c is bound)
+        while lo < hi:
+            mid = (lo + hi) // 2
+            if cmp_func(x, chain[mid]) < 0:
+                hi = mid
+            else:
+                lo = mid + 1
+        chain.insert(lo, x)
+
+    # Jacobsthal-sized groups, each inserted back to front
+    prev, j_prev, j = 1, 1, 3
+    while prev < len(pending):
+        end = min(j, len(pending))
+        for k in range(end, prev, -1):
+            insert(*pending[k - 1])
+        prev = end
+        j_prev, j = j, j + 2 * j_prev
+    return chain
+
+def merge_insertion_worst_case(n):
+    return sum(math.ceil(math.log2(3 * k / 4)) for k in range(1, n + 1))
+
 def merge_sort(arr, cmp_func):
     n = len(arr)
     if n <= 1:
@@ -163,6 +206,7 @@ def run_experiment(presidents, attempts=ATTEMPTS):
 
     algos = [
         ('binary_insertion', binary_insertion_sort),
+        ('merge_insertion', merge_insertion_sort),
         ('merge_sort', merge_sort),
         ('quicksort', quicksort),
         ('heap_sort', heap_sort),
@@ -213,6 +257,7 @@ def main():
     print(f'Loaded {len(presidents)} presidents from {CSV_PATH}')
     summary = run_experiment(presidents, attempts=ATTEMPTS)
     print_summary(summary)
+    print(f'\nmerge_insertion worst-case bound for n={len(presidents)}: {merge_insertion_worst_case(len(presidents))}')
 
 if __name__ == '__main__':
     main()
@@ -0,0 +1,130 @@
+/*
+  Historian surveys
+  - A dataset's `surveys` manifest field points at a JSON index ({ surveys: [{ id, title, source, year,
+    method, url, csv }] }); csv paths are relative to the index. A bare `historianCsv` still works as a
+    single untitled survey
+  - Survey CSVs list items best first under a header with any of id, name and number; rows match
+    items by id, then name, then number (Cleveland's '22/24' matches #22)
+  - The sorter seed is one survey or the average over all of them: each item's mean position across the
+    surveys that rank it, with items no survey ranks left out
+  - Parsing and matching are pure (surveyOrder, averageSurveyOrders); fetches are cached per URL
+*/
+
+const SURVEY_AVERAGE = 'average';
+const surveyTextCache = {}; // url -> Promise<text>
+
+// --- Parsing ------------------------------------------------------------------------
+// Items in the order of a survey CSV; unmatched rows and repeats are skipped
+function surveyOrder(csvText, items) {
+  const rows = parseCsvRows(String(csvText || ''));
+  const cols = (rows.shift() || []).map(h => h.toLowerCase());
+  const iId = cols.indexOf('id'); const iName = cols.indexOf('name'); const iNumber = cols.indexOf('number');
+  const byId = new Map(items.map(p => [p.id, p]));
+  const byName = new Map(items.filter(p => p.name).map(p => [p.name.toLowerCase(), p]));
+  const seen = new Set();
+  const order = [];
+  rows.forEach(parts => {
+    const at = (i) => (i >= 0 && parts[i] ? parts[i] : null);
+    const number = Number(String(at(iNumber) || '').split('/')[0]) || null;
+    const item = byId.get(at(iId))
+      || byName.get((at(iName) || '').toLowerCase())
+      || (number ? items.find(p => Number(p.number) === number) : null);
+    if (item && !seen.has(item.id)) { seen.add(item.id); order.push(item); }
+  });
+  return order;
+}
+
+// Mean position over the orders that include each item; ties keep the order items were first seen in
+function averageSurveyOrders(orders, items) {
+  const byId = new Map(items.map(p => [p.id, p]));
+  const sums = new Map();
+  orders.forEach(order => order.forEach((p, i) => {
+    const s = sums.get(p.id) || { total: 0, count: 0 };
+    s.total += i + 1; s.count++;
+    sums.set(p.id, s);
+  }));
+  return Array.from(sums.entries())
+    .filter(([id]) => byId.has(id))
+    .sort(([, a], [, b]) => a.total / a.count - b.total / b.count)
+    .map(([id]) => byId.get(id));
+}
+
+// --- Loading ------------------------------------------------------------------------
+function fetchSurveyText(url) {
+  if (!surveyTextCache[url]) {
+    surveyTextCache[url] = fetch(url).then(r => (r.ok ? r.text() : Promise.reject(new Error(`${url}: HTTP ${r.status}`))));
+    surveyTextCache[url].catch(() => { delete surveyTextCache[url]; });
+  }
+  return surveyTextCache[url];
+}
+
+function hasSurveys(ds = getActiveDataset()) {
+  return !!(ds.surveys || ds.historianCsv);
+}
+
+// The dataset's surveys with csv URLs resolved against the index
+async function datasetSurveys(ds = getActiveDataset()) {
+  if (!ds.surveys) return ds.historianCsv ? [{ id: 'historian', title: 'Historian ranking', csv: ds.historianCsv }] : [];
+  const index = JSON.parse(await fetchSurveyText(ds.surveys));
+  const base = new URL(ds.surveys, location.href);
+  return (index.surveys || []).filter(s => s && s.id && s.csv)
+    .map(s => ({ ...s, csv: new URL(s.csv, base).href }));
+}
+
+function surveyLabel(survey) {
+  return survey.year ? `${survey.title} (${survey.year})` : survey.title;
+}
+
+// choice: a survey id, SURVEY_AVERAGE, or null for the first survey -> { order, label, surveys }
+async function loadSurveySeed(choice, items, ds = getActiveDataset()) {
+  const all = await datasetSurveys(ds);
+  if (!all.length) throw new Error(`${ds.title} has no historian surveys`);
+  const picked = choice === SURVEY_AVERAGE ? all : [all.find(s => s.id === choice) || all[0]];
+  const orders = await Promise.all(picked.map(async s => surveyOrder(await fetchSurveyText(s.csv), items)));
+  return {
+    order: picked.length > 1 ? averageSurveyOrders(orders, items) : orders[0],
+    label: picked.length > 1 ? `the average of ${picked.length} surveys` : surveyLabel(picked[0]),
+    surveys: picked,
+  };
+}
+
+// --- Welcome screen picker ------------------------------------------------------------
+async function renderSurveyPicker() {
+  const select = $('#historian-survey');
+  if (!select) return;
+  const ds = getActiveDataset();
+  select.innerHTML = '';
+  select.disabled = state.useHistorian === false;
+  let surveys = [];
+  try { surveys = hasSurveys(ds) ? await datasetSurveys(ds) : []; } catch (e) { console.warn('renderSurveyPicker', e); }
+  if (ds !== getActiveDataset()) return; // switched lists while the index loaded
+  select.closest('label').hidden = surveys.length < 2;
+  surveys.forEach(s => {
+    const opt = new Option(surveyLabel(s), s.id);
+    opt.title = [s.source, s.method].filter(Boolean).join('. ');
+    select.appendChild(opt);
+  });
+  if (surveys.length > 1) select.appendChild(new Option(`Average of all ${surveys.length} surveys`, SURVEY_AVERAGE));
+  select.value = surveys.some(s => s.id === state.historianSurvey) || state.historianSurvey === SURVEY_AVERAGE
+    ? state.historianSurvey : (surveys[0] || {}).id || '';
+  select.title = (select.selectedOptions[0] || {}).title || '';
+}
+
+function initSurveyPicker() {
+  const select = $('#historian-survey');
+  if (!select) return;
+  select.onchange = () => {
+    state.historianSurvey = select.value;
+    select.title = (select.selectedOptions[0] || {}).title || '';
+    saveState();
+  };
+}
+
+window.SURVEY_AVERAGE = SURVEY_AVERAGE;
+window.surveyOrder = surveyOrder;
+window.averageSurveyOrders = averageSurveyOrders;
+window.hasSurveys = hasSurveys;
+window.datasetSurveys = datasetSurveys;
+window.loadSurveySeed = loadSurveySeed;
+window.renderSurveyPicker = renderSurveyPicker;
+window.initSurveyPicker = initSurveyPicker;
@@ -0,0 +1,66 @@
+// Historian survey parsing and averaging (surveys.js). Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The browser scripts share one global scope; load the two this needs into a bare context
+const ctx = vm.createContext({});
+ctx.window = ctx;
+['item-import.js', 'surveys.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), ctx, { filename: file });
+});
+const { surveyOrder, averageSurveyOrders } = ctx;
+
+const items = [
+  { id: 'washington', name: 'George Washington', number: 1 },
+  { id: 'lincoln', name: 'Abraham Lincoln', number: 16 },
+  { id: 'cleveland', name: 'Grover Cleveland', number: 22 },
+  { id: 'fdr', name: 'Franklin D. Roosevelt', number: 32 },
+];
+// Arrays built inside the context have its Array prototype; copy them out before deepEqual
+const ids = (order) => Array.from(order, p => p.id);
+
+test('matches rows by id, then name, then number', () => {
+  const csv = 'index,id,name,number\n1,lincoln,,\n2,,franklin d. roosevelt,\n3,,,22/24\n4,nobody,Nobody,99\n5,washington,George Washington,1\n';
+  assert.deepEqual(ids(surveyOrder(csv, items)), ['lincoln', 'fdr', 'cleveland', 'washington']);
+});
+
+test('works with only some of the columns, in any order', () => {
+  assert.deepEqual(ids(surveyOrder('Number,Name\n16,Someone\n1,\n', items)), ['lincoln', 'washington']);
+  assert.deepEqual(ids(surveyOrder('name\n"Washington, George"\nGeorge Washington\n', items)), ['washington']);
+});
+
+test('keeps the first of duplicate rows', () => {
+  const csv = 'id,name,number\nfdr,,\nlincoln,,\nfdr,Franklin D. Roosevelt,32\n,Abraham Lincoln,\n,,16\n';
+  assert.deepEqual(ids(surveyOrder(csv, items)), ['fdr', 'lincoln']);
+});
+
+test('an empty or header-only survey matches nothing', () => {
+  assert.deepEqual(ids(surveyOrder('', items)), []);
+  assert.deepEqual(ids(surveyOrder('id,name\n', items)), []);
+});
+
+test('averages positions over the surveys that rank each item', () => {
+  const a = ['lincoln', 'washington', 'fdr', 'cleveland'];
+  const b = ['washington', 'lincoln', 'fdr', 'cleveland'];
+  const byId = new Map(items.map(p => [p.id, p]));
+  const orders = [a, b].map(order => order.map(id => byId.get(id)));
+  // Tied means keep the order the items were first seen in
+  assert.deepEqual(ids(averageSurveyOrders(orders, items)), ['lincoln', 'washington', 'fdr', 'cleveland']);
+});
+
+test('a survey missing an item does not count against it', () => {
+  const byId = new Map(items.map(p => [p.id, p]));
+  const full = ['lincoln', 'washington', 'fdr', 'cleveland'].map(id => byId.get(id));
+  const partial = ['fdr', 'lincoln'].map(id => byId.get(id)); // no Washington, no Cleveland
+  // lincoln (1 + 2) / 2 = 1.5, fdr (3 + 1) / 2 = 2, washington 2, cleveland 4
+  assert.deepEqual(ids(averageSurveyOrders([full, partial], items)), ['lincoln', 'washington', 'fdr', 'cleveland']);
+});
+
+test('items no longer in the list are left out of the average', () => {
+  const gone = { id: 'gone', name: 'Gone' };
+  const averaged = averageSurveyOrders([[gone, items[1]], [items[1]]], items);
+  assert.deepEqual(ids(averaged), ['lincoln']);
+});
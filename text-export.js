@@ -0,0 +1,118 @@
+/*
+  Text exports of the ranking and tier list
+  - Markdown (numbered list or tier table), Reddit table, CSV, BBCode and plain text by tier
+  - Formatters take the model built by textExportModel() in app.js:
+    { title, rows: [{ rank, id, name, tier, rating, note }], tiers: [{ label, color, rows }] }
+    rank is null for items a Top-N run left unranked; rating is null outside Elo / Bradley–Terry
+  - Every format can be copied to the clipboard or downloaded from the menus on the results and tier screens
+*/
+
+// --- Helpers --------------------------------------------------------------------
+// Notes may span lines; list and table formats keep each item on one
+const oneLine = (s) => String(s ?? '').replace(/\s*\r?\n\s*/g, ' ');
+const mdCell = (s) => oneLine(s).replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+const csvCell = (s) => {
+  const v = String(s ?? '');
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+};
+// BBCode has no escape syntax; break up anything that would parse as a tag
+const bbText = (s) => String(s ?? '').replace(/\[/g, '[\u200b');
+const ratingText = (r) => (Number.isFinite(r) ? String(Math.round(r)) : '');
+const rankText = (r) => (r == null ? '–' : String(r));
+
+// --- Formats --------------------------------------------------------------------
+function toMarkdownList(model) {
+  const ranked = model.rows.filter(r => r.rank != null);
+  const rest = model.rows.filter(r => r.rank == null);
+  const line = (r) => `${r.name}${r.note ? ` — *${oneLine(r.note)}*` : ''}`;
+  const out = [`# ${model.title}`, ''];
+  // Markdown renumbers ordered lists, so tied ranks are spelled out instead
+  const ties = ranked.some((r, i) => i > 0 && r.rank === ranked[i - 1].rank);
+  ranked.forEach((r, i) => out.push(ties ? `${r.rank}\\. ${line(r)}  ` : `${i + 1}. ${line(r)}`));
+  if (rest.length) out.push('', `**Not ranked (${rest.length})**`, '', ...rest.map(r => `- ${line(r)}`));
+  return out.join('\n') + '\n';
+}
+
+function toMarkdownTierTable(model) {
+  const out = [`# ${model.title}`, '', '| Tier | Items |', '| --- | --- |'];
+  model.tiers.forEach(t => out.push(`| **${mdCell(t.label)}** | ${t.rows.map(r => mdCell(r.name)).join(', ')} |`));
+  return out.join('\n') + '\n';
+}
+
+// One row per item; Reddit wants a blank line before the table and no heading syntax inside it
+function toRedditTable(model) {
+  const rated = model.rows.some(r => Number.isFinite(r.rating));
+  const head = ['Rank', 'Name', 'Tier'].concat(rated ? ['Rating'] : [], 'Note');
+  const out = [`**${mdCell(model.title)}**`, '', `| ${head.join(' | ')} |`, `|${head.map(() => ':--').join('|')}|`];
+  model.rows.forEach(r => {
+    const cells = [rankText(r.rank), r.name, r.tier].concat(rated ? [ratingText(r.rating)] : [], r.note);
+    out.push(`| ${cells.map(mdCell).join(' | ')} |`);
+  });
+  return out.join('\n') + '\n';
+}
+
+function toCsv(model) {
+  const lines = [['rank', 'id', 'name', 'tier', 'rating', 'note']];
+  model.rows.forEach(r => lines.push([r.rank ?? '', r.id, r.name, r.tier, ratingText(r.rating), r.note]));
+  return lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function toBBCode(model) {
+  const out = [`[size=150][b]${bbText(model.title)}[/b][/size]`, ''];
+  model.tiers.forEach(t => {
+    const label = `[b]${bbText(t.label)}[/b]`;
+    out.push(`${t.color ? `[color=${t.color}]${label}[/color]` : label}: ${t.rows.map(r => bbText(r.name)).join(', ')}`);
+  });
+  return out.join('\n') + '\n';
+}
+
+function toPlainTiers(model) {
+  const out = [model.title];
+  model.tiers.forEach(t => {
+    out.push('', `${t.label} (${t.rows.length})`);
+    t.rows.forEach(r => out.push(`  ${r.name}${r.note ? ` — ${oneLine(r.note)}` : ''}`));
+  });
+  return out.join('\n') + '\n';
+}
+
+const TEXT_EXPORT_FORMATS = [
+  { id: 'markdown-list', label: 'Markdown list', ext: 'md', type: 'text/markdown', render: toMarkdownList },
+  { id: 'markdown-tiers', label: 'Markdown tier table', ext: 'md', type: 'text/markdown', render: toMarkdownTierTable },
+  { id: 'reddit', label: 'Reddit table', ext: 'md', type: 'text/markdown', render: toRedditTable },
+  { id: 'csv', label: 'CSV', ext: 'csv', type: 'text/csv', render: toCsv },
+  { id: 'bbcode', label: 'BBCode (forums)', ext: 'txt', type: 'text/plain', render: toBBCode },
+  { id: 'text', label: 'Plain text by tier', ext: 'txt', type: 'text/plain', render: toPlainTiers },
+];
+
+// --- Menus ----------------------------------------------------------------------
+function textExportFormat(id) {
+  return TEXT_EXPORT_FORMATS.find(f => f.id === id) || TEXT_EXPORT_FORMATS[0];
+}
+
+function copyTextExport(format) {
+  const text = format.render(textExportModel());
+  navigator.clipboard.writeText(text)
+    .then(() => toast(`${format.label} copied`, { ok: true }))
+    .catch(() => toast('Copy failed', { error: true }));
+}
+
+function downloadTextExport(format) {
+  const model = textExportModel();
+  download(`${exportFileStem()}.${format.ext}`, format.render(model), `${format.type};charset=utf-8`);
+}
+
+// Each [data-text-export] block holds a format select and Copy / Download buttons
+function initTextExportMenus() {
+  $$('[data-text-export]').forEach(menu => {
+    const select = menu.querySelector('select');
+    select.innerHTML = '';
+    TEXT_EXPORT_FORMATS.forEach(f => select.appendChild(new Option(f.label, f.id)));
+    // the results and tier menus share one choice
+    select.onchange = () => $$('[data-text-export] select').forEach(other => { other.value = select.value; });
+    menu.querySelector('[data-text-export-copy]').onclick = () => copyTextExport(textExportFormat(select.value));
+    menu.querySelector('[data-text-export-download]').onclick = () => downloadTextExport(textExportFormat(select.value));
+  });
+}
+
+window.TEXT_EXPORT_FORMATS = TEXT_EXPORT_FORMATS;
+window.initTextExportMenus = initTextExportMenus;
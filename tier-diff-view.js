@@ -0,0 +1,269 @@
+/*
+  Tier diff screen
+  - Puts two tier lists side by side: your own, a share link or an exported JSON file on either side
+  - Items that changed tier are colored by direction (green: higher on the right, red: lower) and carry
+    a badge with their tier on the other side; items only one side placed are dashed
+  - Hovering an item highlights it on both sides; a table lists every move, biggest first
+  - Download PNG draws both boards with the tier renderer (tier-render.js) under a summary line
+*/
+
+const DIFF_MARK_COLORS = { up: '#5fd38d', down: '#ff8080', only: '#b8b8b8' };
+const DIFF_SIDE_WIDTH = 720;
+
+let tierDiffSides = { left: null, right: null }; // { name, schema, tiers, notes, ranks, mine? }
+let tierDiffDatasetId = null;
+let tierDiffBack = null; // screen the Back button returns to
+
+// --- Sides --------------------------------------------------------------------------
+// id -> { rank, tied } in a side's ranking (if it has one); tied items share a rank
+function diffSideRanks(ranking, ties) {
+  const ranks = resultRanks(ranking.map(id => ({ id })), ties || {});
+  const counts = new Map();
+  ranks.forEach(r => counts.set(r, (counts.get(r) || 0) + 1));
+  return new Map(ranking.map((id, i) => [id, { rank: ranks[i], tied: counts.get(ranks[i]) > 1 }]));
+}
+
+function diffSideFromPayload(name, payload) {
+  const known = new Set(state.data.map(p => p.id));
+  const schema = normalizeTierSchema(payload.tierSchema);
+  const tiers = reconcileTiers(payload.tiers || {}, schema);
+  Object.keys(tiers).forEach(tier => { tiers[tier] = tiers[tier].filter(id => known.has(id)); });
+  const ranks = diffSideRanks((payload.ranking || []).filter(id => known.has(id)), payload.ties);
+  return { name, schema, tiers, notes: payload.notes || {}, ranks };
+}
+
+function myDiffSide() {
+  const ranks = diffSideRanks((state.sorter.result || []).map(p => p.id), isRatingMode() ? {} : state.sorter.ties);
+  return { name: `${activeProfile().name} (you)`, schema: state.tierSchema, tiers: state.tiers, notes: state.notes, ranks, mine: true };
+}
+
+function setDiffSide(which, side) {
+  const placed = side.schema.some(t => side.tiers[t.id].length);
+  if (!placed) { toast(`${side.name}: nothing placed in tiers`, { error: true }); return; }
+  tierDiffSides[which] = side;
+  renderTierDiff();
+}
+
+async function loadDiffFile(which, file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || !data.tiers) throw new Error('Not a tier list export');
+    if (data.dataset && data.dataset !== getActiveDataset().id) toast(`${file.name} was made with another list; unknown items are ignored`);
+    setDiffSide(which, diffSideFromPayload(file.name.replace(/\.json$/i, ''), data));
+  } catch (e) {
+    console.warn('loadDiffFile', file.name, e);
+    toast(`${file.name}: could not read it`, { error: true });
+  }
+}
+
+async function loadDiffLink(which, link) {
+  const hash = String(link || '').trim();
+  try {
+    const payload = await decodeShareHash(hash.slice(Math.max(0, hash.indexOf('#'))));
+    if (!payload) throw new Error('Not a share link');
+    setDiffSide(which, diffSideFromPayload((payload.title || '').trim() || 'Shared list', payload));
+    return true;
+  } catch (e) {
+    console.warn('loadDiffLink', e);
+    toast(`Could not open the link: ${e.message}`, { error: true });
+    return false;
+  }
+}
+
+// --- Rendering --------------------------------------------------------------------------
+// How one item shows on one side: { kind: 'same' | 'up' | 'down' | 'only', badge, title }
+function diffMark(d, which) {
+  const here = d[which]; const there = d[which === 'left' ? 'right' : 'left'];
+  if (!there) return { kind: 'only', badge: '', title: `Only the ${which} list placed it` };
+  const arrow = which === 'left' ? '→' : '←';
+  const title = `${d.left.name} on the left, ${d.right.name} on the right`;
+  if (!d.shift) return { kind: 'same', badge: '', title: here.name === there.name ? title : `${title} (same level)` };
+  const n = Math.abs(d.shift);
+  return {
+    kind: d.shift > 0 ? 'up' : 'down',
+    badge: `${arrow} ${there.name}`,
+    title: `${title}: ${n} tier${n === 1 ? '' : 's'} ${d.shift > 0 ? 'higher' : 'lower'} on the right`,
+  };
+}
+
+function diffSummaryText(diff) {
+  const parts = [];
+  if (diff.placedBoth) {
+    parts.push(`${diff.same} of ${diff.placedBoth} items in the same tier (${Math.round((100 * diff.same) / diff.placedBoth)}%)`);
+    parts.push(`${diff.up} higher and ${diff.down} lower on the right`);
+    parts.push(`tier distance ${diff.distance} (${diff.meanDistance.toFixed(2)} per item${diff.maxShift ? `, largest move ${diff.maxShift}` : ''})`);
+  } else {
+    parts.push('No item is placed on both sides');
+  }
+  if (diff.onlyLeft || diff.onlyRight) parts.push(`${diff.onlyLeft} only on the left, ${diff.onlyRight} only on the right`);
+  return `${parts.join(' · ')}.`;
+}
+
+function renderDiffSide(which, diff) {
+  const side = tierDiffSides[which];
+  const byId = new Map(diff.items.map(d => [d.id, d]));
+  $(`#diff-${which}-name`).textContent = side.name;
+  renderReadOnlyTiers($(`#diff-${which}-tiers`), side.schema, side.tiers, side.notes, (chip, id) => {
+    const r = side.ranks && side.ranks.get(id);
+    if (r) chip.title = [`Ranked ${r.rank}${r.tied ? ' (tied)' : ''}`, chip.title].filter(Boolean).join('\n');
+    const d = byId.get(id);
+    if (!d || !d[which]) return; // in Unplaced here
+    const mark = diffMark(d, which);
+    chip.classList.add(`diff-${mark.kind}`);
+    chip.title = chip.title ? `${mark.title}\n${chip.title}` : mark.title;
+    if (mark.badge) {
+      const badge = document.createElement('span');
+      badge.className = 'diff-badge';
+      badge.textContent = mark.badge;
+      chip.appendChild(badge);
+    }
+  });
+}
+
+function renderTierDiff() {
+  ['left', 'right'].forEach(which => {
+    const side = tierDiffSides[which];
+    $(`#diff-${which}-source`).textContent = side ? side.name : 'Nothing loaded yet';
+  });
+  const status = $('#diff-status');
+  const results = $('#diff-results');
+  const { left, right } = tierDiffSides;
+  if (!left || !right) {
+    status.textContent = 'Load a tier list on each side to compare them.';
+    results.hidden = true;
+    return;
+  }
+  const diff = diffTierLists(left, right);
+  status.textContent = diffSummaryText(diff);
+  renderDiffSide('left', diff);
+  renderDiffSide('right', diff);
+
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const moves = diff.items.filter(d => d.shift).sort((a, b) => Math.abs(b.shift) - Math.abs(a.shift));
+  fillTable($('#diff-moves'), ['Item', left.name, right.name, 'Move'],
+    moves.map(d => [itemTitle(idMap.get(d.id)), d.left.name, d.right.name, d.shift > 0 ? `▲ ${d.shift}` : `▼ ${-d.shift}`]));
+  $('#diff-moves-section').hidden = !moves.length;
+  results.hidden = false;
+}
+
+// --- Image export --------------------------------------------------------------------
+function diffRenderModel(which, diff) {
+  const side = tierDiffSides[which];
+  const idMap = new Map(state.data.map(p => [p.id, p]));
+  const byId = new Map(diff.items.map(d => [d.id, d]));
+  const tiers = tierIds(side.schema).map(tier => ({
+    id: tier,
+    label: tierLabel(tier, side.schema),
+    color: tierColor(tier, side.schema),
+    items: side.tiers[tier].map(id => idMap.get(id)).filter(Boolean).map(p => {
+      const d = byId.get(p.id);
+      const mark = d && d[which] ? diffMark(d, which) : null;
+      return {
+        id: p.id,
+        name: itemTitle(p),
+        images: p._resolved ? [p._resolved] : resolveImageSrc(p),
+        mark: mark && mark.kind !== 'same' ? { color: DIFF_MARK_COLORS[mark.kind], text: mark.badge || 'only here' } : null,
+      };
+    }),
+  })).filter(t => t.id !== UNPLACED_TIER || t.items.length);
+  return { title: side.name, layout: 'rows', tiers, notes: [] };
+}
+
+// Both boards next to each other under the summary line
+async function renderTierDiffCanvas() {
+  const diff = diffTierLists(tierDiffSides.left, tierDiffSides.right);
+  const options = normalizeRenderOptions({ ...state.pngOptions, width: DIFF_SIDE_WIDTH, aspect: 'auto', names: true, notes: false, watermark: '', transparent: false });
+  const theme = TIER_RENDER_THEMES[options.theme];
+  const [left, right] = await Promise.all(['left', 'right'].map(which => renderTierCanvas(diffRenderModel(which, diff), options)));
+  const { PAD } = TIER_RENDER;
+  const s = options.scale;
+  const headH = 36;
+  const out = document.createElement('canvas');
+  out.width = left.width + right.width + PAD * s;
+  out.height = headH * s + Math.max(left.height, right.height);
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.font = `600 ${14 * s}px ${TIER_RENDER.FONT}`;
+  ctx.fillStyle = theme.text; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  ctx.fillText(ellipsize(ctx, diffSummaryText(diff), out.width - 2 * PAD * s), out.width / 2, (headH * s) / 2 + PAD * s / 2);
+  ctx.drawImage(left, 0, headH * s);
+  ctx.drawImage(right, left.width + PAD * s, headH * s);
+  return out;
+}
+
+async function downloadTierDiffPng() {
+  const btn = $('#btn-diff-png');
+  btn.disabled = true;
+  try {
+    const canvas = await renderTierDiffCanvas();
+    canvas.toBlob(blob => {
+      if (!blob) { toast('Export failed', { error: true }); return; }
+      download(`${getActiveDataset().exportName}-diff.png`, blob, 'image/png');
+    }, 'image/png');
+  } catch (e) {
+    console.error('downloadTierDiffPng failed', e);
+    toast('Export failed', { error: true });
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// --- Screen --------------------------------------------------------------------------
+function hasOwnTiers() {
+  return state.tierSchema.some(t => (state.tiers[t.id] || []).length);
+}
+
+// Opens with your list on the left; `right` and `back` come from the shared viewer
+function openTierDiff(right = null, back = null) {
+  if (tierDiffDatasetId !== getActiveDataset().id) {
+    tierDiffSides = { left: null, right: null };
+    tierDiffDatasetId = getActiveDataset().id;
+  }
+  if (right) {
+    tierDiffSides = { left: hasOwnTiers() ? myDiffSide() : null, right };
+  } else {
+    // Your side is re-read so edits made on the tier board since then show up
+    ['left', 'right'].forEach(which => { if (tierDiffSides[which]?.mine) tierDiffSides[which] = hasOwnTiers() ? myDiffSide() : null; });
+    if (!tierDiffSides.left && !tierDiffSides.right?.mine && hasOwnTiers()) tierDiffSides.left = myDiffSide();
+  }
+  tierDiffBack = back;
+  renderTierDiff();
+  showScreen('screen-tier-diff');
+}
+
+function highlightDiffItem(id) {
+  $$('#diff-board .shared-chip').forEach(chip => chip.classList.toggle('diff-hover', !!id && chip.dataset.id === id));
+}
+
+function initTierDiff() {
+  $$('[data-diff-side]').forEach(box => {
+    const which = box.dataset.diffSide;
+    box.querySelector('[data-diff-mine]').onclick = () => {
+      if (hasOwnTiers()) setDiffSide(which, myDiffSide());
+      else toast('You have no tier list of your own yet', { error: true });
+    };
+    box.querySelector('[data-diff-file]').onchange = async (e) => {
+      if (e.target.files && e.target.files[0]) await loadDiffFile(which, e.target.files[0]);
+      e.target.value = '';
+    };
+    const input = box.querySelector('[data-diff-link]');
+    box.querySelector('[data-diff-load-link]').onclick = async () => {
+      if (await loadDiffLink(which, input.value)) input.value = '';
+    };
+  });
+  $('#btn-diff-swap').onclick = () => {
+    tierDiffSides = { left: tierDiffSides.right, right: tierDiffSides.left };
+    renderTierDiff();
+  };
+  $('#btn-diff-png').onclick = downloadTierDiffPng;
+  $('#btn-diff-back').onclick = () => showScreen(tierDiffBack || (state.sorter.result ? 'screen-results' : 'screen-welcome'));
+  const board = $('#diff-board');
+  board.addEventListener('mouseover', (e) => highlightDiffItem(e.target.closest('.shared-chip')?.dataset.id));
+  board.addEventListener('mouseleave', () => highlightDiffItem(null));
+  $$('[data-open-tier-diff]').forEach(b => { b.onclick = () => openTierDiff(); });
+}
+
+window.openTierDiff = openTierDiff;
+window.diffSideFromPayload = diffSideFromPayload;
+window.initTierDiff = initTierDiff;
@@ -0,0 +1,45 @@
+/*
+  Tier list diff
+  - A side is { name, schema, tiers } with tiers as saved (tier id -> item ids); Unplaced counts as not placed
+  - The right side's tiers are matched to the left side's schema by name, or by relative position when the
+    names differ (matchTierIndex), so lists with different tier sets still line up
+  - Per item: its tier on each side and the shift in tiers, positive when the right side places it higher
+  - Summary: agreements, moves up and down, items only one side placed, and the distance between the two
+    boards (sum of the tier shifts, plus its mean over the items both sides placed)
+*/
+
+// id -> { tier, name, index, count } for the items a side placed in a real tier
+function sidePlacements(side) {
+  const out = new Map();
+  side.schema.forEach((t, index) => (side.tiers[t.id] || []).forEach(id => {
+    if (!out.has(id)) out.set(id, { tier: t.id, name: t.name, index, count: side.schema.length });
+  }));
+  return out;
+}
+
+function diffTierLists(left, right) {
+  const a = sidePlacements(left);
+  const b = sidePlacements(right);
+  const ids = Array.from(a.keys()).concat(Array.from(b.keys()).filter(id => !a.has(id)));
+  const items = ids.map(id => {
+    const l = a.get(id) || null; const r = b.get(id) || null;
+    const shift = l && r ? l.index - matchTierIndex(r.name, r.index, r.count, left.schema) : null;
+    return { id, left: l, right: r, shift };
+  });
+  const both = items.filter(d => d.shift != null);
+  const distance = both.reduce((sum, d) => sum + Math.abs(d.shift), 0);
+  return {
+    items,
+    same: both.filter(d => d.shift === 0).length,
+    up: both.filter(d => d.shift > 0).length,
+    down: both.filter(d => d.shift < 0).length,
+    onlyLeft: items.filter(d => d.left && !d.right).length,
+    onlyRight: items.filter(d => !d.left && d.right).length,
+    placedBoth: both.length,
+    distance,
+    meanDistance: both.length ? distance / both.length : 0,
+    maxShift: both.reduce((m, d) => Math.max(m, Math.abs(d.shift)), 0),
+  };
+}
+
+window.diffTierLists = diffTierLists;
@@ -0,0 +1,152 @@
+/*
+  Keyboard editing for the tier board
+  - On a focused tile: 1–9 or a tier's letter sends it to that tier, 0 sends it to Unplaced
+  - Arrows move focus between tiles; Enter (or Space) picks a tile up, arrows then move it,
+    Enter drops it and Escape puts it back
+  - Along a tier is ↑/↓ in the column layout and ←/→ in the row layout; the other pair changes tier
+  - Moves are announced through an aria-live region and recorded in the tier history (one step per drop)
+*/
+
+let tierGrab = null; // { id, from: { list, index }, before: tier snapshot }
+
+function tierList(tier) {
+  return document.getElementById(`tier-${tier}`);
+}
+
+// Tiles the filter hasn't hidden
+function visibleTiles(list) {
+  return Array.from(list.children).filter(el => el.classList.contains('tier-item') && el.style.display !== 'none');
+}
+
+function describeTile(el) {
+  const tiles = visibleTiles(el.parentElement);
+  const tier = el.closest('.tier-col').dataset.tier;
+  return `${el.dataset.name} in ${tierLabel(tier)}, position ${tiles.indexOf(el) + 1} of ${tiles.length}`;
+}
+
+function announceTier(message) {
+  const live = $('#tier-announce');
+  if (!live) return;
+  // clear first so a repeated message is read again
+  live.textContent = '';
+  setTimeout(() => { live.textContent = message; }, 30);
+}
+
+// Put a tile at `index` among the visible tiles of a tier (Infinity = last); keeps focus on it
+function placeTile(el, tier, index) {
+  const list = tierList(tier);
+  const others = visibleTiles(list).filter(t => t !== el);
+  const ref = others[Math.max(0, index)] || null;
+  if (ref) list.insertBefore(el, ref); else list.appendChild(el);
+  el.focus();
+}
+
+function commitTileMove(before) {
+  captureTiersFromDOM();
+  pushTierHistory(before);
+  saveState();
+  renderTierEditor();
+}
+
+// 1–9 pick a tier by position, 0 is Unplaced; letters match a tier name, then a name prefix
+function tierForKey(key) {
+  const schema = state.tierSchema;
+  if (/^[0-9]$/.test(key)) return key === '0' ? UNPLACED_TIER : schema[Number(key) - 1]?.id || null;
+  if (!/^[a-z]$/i.test(key)) return null;
+  const k = key.toLowerCase();
+  const tier = schema.find(t => t.name.toLowerCase() === k) || schema.find(t => t.name.toLowerCase().startsWith(k));
+  if (tier) return tier.id;
+  return k === 'u' ? UNPLACED_TIER : null;
+}
+
+function sendTileToTier(el, tier) {
+  const before = tierSnapshot();
+  placeTile(el, tier, Infinity);
+  if (!tierGrab) commitTileMove(before);
+  announceTier(`Moved ${describeTile(el)}`);
+}
+
+// Neighbouring tier (skipping tiers with no visible tiles when only moving focus)
+function adjacentTier(tier, delta, { skipEmpty }) {
+  const order = tierIds();
+  for (let i = order.indexOf(tier) + delta; i >= 0 && i < order.length; i += delta) {
+    const list = tierList(order[i]);
+    if (list && (!skipEmpty || visibleTiles(list).length)) return order[i];
+  }
+  return null;
+}
+
+function onArrow(el, key) {
+  const rows = state.tierLayout === 'rows';
+  const along = rows ? { ArrowLeft: -1, ArrowRight: 1 } : { ArrowUp: -1, ArrowDown: 1 };
+  const across = rows ? { ArrowUp: -1, ArrowDown: 1 } : { ArrowLeft: -1, ArrowRight: 1 };
+  const tier = el.closest('.tier-col').dataset.tier;
+  const tiles = visibleTiles(el.parentElement);
+  const index = tiles.indexOf(el);
+  if (key in along) {
+    const next = index + along[key];
+    if (next < 0 || next >= tiles.length) return;
+    if (tierGrab) { placeTile(el, tier, next); announceTier(describeTile(el)); }
+    else tiles[next].focus();
+    return;
+  }
+  const target = adjacentTier(tier, across[key], { skipEmpty: !tierGrab });
+  if (!target) return;
+  if (tierGrab) { placeTile(el, target, index); announceTier(describeTile(el)); return; }
+  const targetTiles = visibleTiles(tierList(target));
+  targetTiles[Math.min(index, targetTiles.length - 1)].focus();
+}
+
+function pickUpTile(el) {
+  tierGrab = { id: el.dataset.id, from: { list: el.parentElement, index: Array.from(el.parentElement.children).indexOf(el) }, before: tierSnapshot() };
+  el.classList.add('kbd-grabbed');
+  el.setAttribute('aria-pressed', 'true');
+  announceTier(`Picked up ${describeTile(el)}. Arrow keys move it, Enter drops, Escape cancels.`);
+}
+
+function dropTile(el, { cancel = false } = {}) {
+  const grab = tierGrab;
+  tierGrab = null;
+  el.classList.remove('kbd-grabbed');
+  el.removeAttribute('aria-pressed');
+  if (cancel) {
+    const { list, index } = grab.from;
+    list.insertBefore(el, list.children[index] || null);
+    el.focus();
+    announceTier(`Cancelled. ${describeTile(el)}`);
+    return;
+  }
+  commitTileMove(grab.before);
+  announceTier(`Dropped ${describeTile(el)}`);
+}
+
+function onTierKeydown(e) {
+  const el = e.target.closest && e.target.closest('.tier-item');
+  if (!el || e.ctrlKey || e.metaKey || e.altKey) return;
+  // The board was rebuilt (undo, import…) while a tile was held: forget the stale grab
+  if (tierGrab && !$('.tier-item.kbd-grabbed')) tierGrab = null;
+  const grabbed = $('.tier-item.kbd-grabbed');
+  if (grabbed && grabbed !== el) dropTile(grabbed);
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    if (tierGrab) dropTile(el); else pickUpTile(el);
+  } else if (e.key === 'Escape' && tierGrab) {
+    e.preventDefault();
+    dropTile(el, { cancel: true });
+  } else if (e.key.startsWith('Arrow')) {
+    e.preventDefault();
+    onArrow(el, e.key);
+  } else {
+    const tier = tierForKey(e.key);
+    if (!tier) return;
+    e.preventDefault();
+    sendTileToTier(el, tier);
+  }
+}
+
+function initTierKeyboard() {
+  const board = $('#tier-board');
+  if (board) board.addEventListener('keydown', onTierKeydown);
+}
+
+window.initTierKeyboard = initTierKeyboard;
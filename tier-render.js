@@ -0,0 +1,409 @@
+/*
+  Tier-list renderer (PNG, SVG and print exports)
+  - Draws the tiers, portraits, labels, an optional title, notes and watermark from a plain model,
+    so the image no longer depends on the viewport, the page theme or DOM screenshots
+  - One layout pass feeds two painters: a canvas (PNG) and SVG markup (vector export, printing)
+  - model: { title, layout: 'rows' | 'columns', tiers: [{ label, color, items: [{ name, images: [src], mark? }] }],
+             notes: [string] }; an item's optional mark { color, text } frames its tile and adds a badge (tier diff)
+  - options: { width, aspect: 'auto' | '1:1' | '16:9' | '9:16', scale: 1 | 2 | 3, theme: 'dark' | 'light',
+               transparent, names, watermark }
+  - Images are loaded with CORS; any that can't be (or fail) get an initials placeholder,
+    which keeps the canvas untainted so it can always be exported
+*/
+
+const TIER_RENDER = {
+  TILE: 96,          // largest tile width; portraits are 4:5
+  MIN_TILE: 24,
+  GAP: 2,
+  PAD: 12,           // outer margin
+  INSET: 4,          // padding inside a tier
+  LABEL_W: 120,      // label cell (row layout)
+  HEADER_H: 44,      // label cell (column layout)
+  TITLE_H: 60,
+  NAME_H: 16,        // caption under each tile when names are shown
+  NOTE_LINE: 20,
+  WATERMARK_H: 24,
+  MIN_WIDTH: 320,
+  MAX_WIDTH: 4096,
+  FONT: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+};
+
+const TIER_RENDER_ASPECTS = { '1:1': 1, '16:9': 16 / 9, '9:16': 9 / 16 };
+const TIER_RENDER_SCALES = [1, 2, 3];
+
+const TIER_RENDER_THEMES = {
+  dark: { background: '#1a1a17', row: '#262624', text: '#f5f5f4', muted: '#a8a29e', label: '#111111', unplaced: '#3f3f3c', placeholder: '#44403c' },
+  light: { background: '#ffffff', row: '#f1f1ef', text: '#1c1917', muted: '#57534e', label: '#111111', unplaced: '#d6d3d1', placeholder: '#d6d3d1' },
+};
+
+const TIER_RENDER_DEFAULTS = { width: 1200, aspect: 'auto', scale: 2, theme: 'dark', transparent: false, names: false, notes: false, watermark: '' };
+
+// Clamp user options to what the renderer supports
+function normalizeRenderOptions(options = {}) {
+  const o = { ...TIER_RENDER_DEFAULTS, ...options };
+  o.width = Math.round(Math.min(TIER_RENDER.MAX_WIDTH, Math.max(TIER_RENDER.MIN_WIDTH, Number(o.width) || TIER_RENDER_DEFAULTS.width)));
+  if (!TIER_RENDER_SCALES.includes(Number(o.scale))) o.scale = TIER_RENDER_DEFAULTS.scale;
+  o.scale = Number(o.scale);
+  if (!(o.aspect in TIER_RENDER_ASPECTS)) o.aspect = 'auto';
+  if (!TIER_RENDER_THEMES[o.theme]) o.theme = TIER_RENDER_DEFAULTS.theme;
+  o.transparent = !!o.transparent; o.names = !!o.names; o.notes = !!o.notes;
+  o.watermark = String(o.watermark || '').slice(0, 120);
+  return o;
+}
+
+// --- Images -----------------------------------------------------------------
+function loadRenderImage(src) {
+  return new Promise(resolve => {
+    const img = new Image();
+    if (!/^data:/i.test(src)) img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+async function loadTileImages(model) {
+  const cache = new Map();
+  const first = async (srcs) => {
+    for (const src of srcs || []) {
+      if (!cache.has(src)) cache.set(src, loadRenderImage(src));
+      const img = await cache.get(src);
+      if (img) return img;
+    }
+    return null;
+  };
+  const items = model.tiers.flatMap(t => t.items);
+  const images = await Promise.all(items.map(item => first(item.images)));
+  return new Map(items.map((item, i) => [item, images[i]]));
+}
+
+// --- Text -------------------------------------------------------------------
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) { lines.push(line); line = word; }
+    else line = next;
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Largest bold font (down to 10px) whose wrapped lines fit the box
+function fitLabel(ctx, text, maxWidth, maxHeight, start) {
+  for (let size = start; size >= 10; size--) {
+    ctx.font = `700 ${size}px ${TIER_RENDER.FONT}`;
+    const lines = wrapText(ctx, text, maxWidth);
+    const fits = lines.every(l => ctx.measureText(l).width <= maxWidth) && lines.length * size * 1.15 <= maxHeight;
+    if (fits) return { size, lines };
+  }
+  return { size: 10, lines: wrapText(ctx, text, maxWidth) };
+}
+
+function ellipsize(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let s = text;
+  while (s && ctx.measureText(`${s}…`).width > maxWidth) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+// --- Layout -----------------------------------------------------------------
+// Position every tier and tile for a given tile width; tiersBottom is where the tiers end
+function layoutTiers(model, width, tile, options) {
+  const { GAP, PAD, INSET, LABEL_W, HEADER_H, TITLE_H, NAME_H } = TIER_RENDER;
+  const tileH = Math.round(tile * 1.25) + (options.names ? NAME_H : 0);
+  let y = PAD + (model.title ? TITLE_H : 0);
+  const boxes = [];
+  const perRowFor = (avail) => Math.max(1, Math.floor((avail - 2 * INSET + GAP) / (tile + GAP)));
+  const rowsFor = (n, perRow) => Math.max(1, Math.ceil(n / perRow));
+  if (model.layout === 'columns') {
+    const n = model.tiers.length;
+    const colW = (width - 2 * PAD - (n - 1) * GAP) / n;
+    const perRow = perRowFor(colW);
+    const bodyH = Math.max(...model.tiers.map(t => rowsFor(t.items.length, perRow))) * (tileH + GAP) - GAP + 2 * INSET;
+    model.tiers.forEach((tier, i) => {
+      const x = PAD + i * (colW + GAP);
+      boxes.push({
+        tier,
+        label: { x, y, w: colW, h: HEADER_H },
+        body: { x, y: y + HEADER_H, w: colW, h: bodyH },
+        tiles: tier.items.map((item, k) => ({
+          item,
+          x: x + INSET + (k % perRow) * (tile + GAP),
+          y: y + HEADER_H + INSET + Math.floor(k / perRow) * (tileH + GAP),
+        })),
+      });
+    });
+    y += HEADER_H + bodyH + GAP;
+  } else {
+    const bodyW = width - 2 * PAD - LABEL_W - GAP;
+    const perRow = perRowFor(bodyW);
+    model.tiers.forEach(tier => {
+      const h = rowsFor(tier.items.length, perRow) * (tileH + GAP) - GAP + 2 * INSET;
+      const bx = PAD + LABEL_W + GAP;
+      boxes.push({
+        tier,
+        label: { x: PAD, y, w: LABEL_W, h },
+        body: { x: bx, y, w: bodyW, h },
+        tiles: tier.items.map((item, k) => ({
+          item,
+          x: bx + INSET + (k % perRow) * (tile + GAP),
+          y: y + INSET + Math.floor(k / perRow) * (tileH + GAP),
+        })),
+      });
+      y += h + GAP;
+    });
+  }
+  const fits = model.layout === 'columns'
+    ? tile + 2 * INSET <= (width - 2 * PAD - (model.tiers.length - 1) * GAP) / model.tiers.length
+    : tile + 2 * INSET <= width - 2 * PAD - LABEL_W - GAP;
+  return { boxes, tile, tileH, tiersBottom: y - GAP, fits };
+}
+
+function notesHeight(ctx, notes, width) {
+  if (!notes.length) return { lines: [], height: 0 };
+  ctx.font = `400 14px ${TIER_RENDER.FONT}`;
+  const lines = notes.flatMap(n => wrapText(ctx, n, width - 2 * TIER_RENDER.PAD));
+  return { lines, height: TIER_RENDER.PAD + (lines.length + 1) * TIER_RENDER.NOTE_LINE };
+}
+
+// Pick the largest tile that keeps the content within `maxHeight` (or just the largest that fits the width)
+function chooseLayout(ctx, model, options, maxHeight) {
+  const extra = notesHeight(ctx, model.notes, options.width).height + (options.watermark ? TIER_RENDER.WATERMARK_H : 0) + TIER_RENDER.PAD;
+  const at = (tile) => {
+    const l = layoutTiers(model, options.width, tile, options);
+    l.height = l.tiersBottom + extra;
+    return l;
+  };
+  let best = null;
+  for (let tile = TIER_RENDER.TILE; tile >= TIER_RENDER.MIN_TILE; tile -= 2) {
+    const l = at(tile);
+    if (!l.fits) continue;
+    if (!maxHeight || l.height <= maxHeight) return l;
+    best = l; // smallest so far; the caller shrinks it into the frame if nothing fits
+  }
+  return best || at(TIER_RENDER.MIN_TILE);
+}
+
+// --- Painting -------------------------------------------------------------------
+// One pass over the layout drives either painter (canvas for PNG, SVG for vector export and printing):
+//   rect(x, y, w, h, fill), text(lines, x, y, { size, weight, fill, align }), tile(t, w, h)
+function paintTierList(p, measure, model, layout, theme, options) {
+  const { PAD, GAP, TITLE_H, NAME_H, NOTE_LINE, WATERMARK_H } = TIER_RENDER;
+  const width = options.width;
+  if (model.title) {
+    const fit = fitLabel(measure, model.title, width - 2 * PAD, TITLE_H - 8, 32);
+    p.text(fit.lines, width / 2, PAD + TITLE_H / 2, { size: fit.size, weight: 700, fill: theme.text, align: 'center' });
+  }
+  layout.boxes.forEach(({ tier, label, body, tiles }) => {
+    p.rect(label.x, label.y, label.w, label.h, tier.color || theme.unplaced);
+    const fit = fitLabel(measure, tier.label, label.w - 12, label.h - 8, model.layout === 'columns' ? 22 : 28);
+    p.text(fit.lines, label.x + label.w / 2, label.y + label.h / 2, { size: fit.size, weight: 700, fill: tier.color ? theme.label : theme.text, align: 'center' });
+    p.rect(body.x, body.y, body.w, body.h, theme.row);
+    const w = layout.tile; const h = Math.round(w * 1.25);
+    tiles.forEach(t => {
+      p.tile(t, w, h);
+      if (t.item.mark) paintTileMark(p, measure, t, w, h);
+      if (!options.names) return;
+      measure.font = `600 11px ${TIER_RENDER.FONT}`;
+      p.text([ellipsize(measure, t.item.name, w + GAP)], t.x + w / 2, t.y + h + NAME_H / 2, { size: 11, weight: 600, fill: theme.text, align: 'center' });
+    });
+  });
+  let y = layout.tiersBottom + PAD;
+  const notes = notesHeight(measure, model.notes, width);
+  if (notes.lines.length) {
+    p.text(['Notes'], PAD, y + NOTE_LINE / 2, { size: 15, weight: 700, fill: theme.text, align: 'left' });
+    notes.lines.forEach((line, i) => p.text([line], PAD, y + (i + 1.5) * NOTE_LINE, { size: 14, weight: 400, fill: theme.text, align: 'left' }));
+    y += notes.height;
+  }
+  if (options.watermark) p.text([options.watermark], width - PAD, y + WATERMARK_H / 2, { size: 13, weight: 500, fill: theme.muted, align: 'right' });
+}
+
+// Colored frame plus a short badge along the bottom of the tile; built from rects so both painters draw it
+function paintTileMark(p, measure, t, w, h) {
+  const { color, text } = t.item.mark;
+  const b = Math.max(2, Math.round(w / 24));
+  p.rect(t.x, t.y, w, b, color); p.rect(t.x, t.y + h - b, w, b, color);
+  p.rect(t.x, t.y, b, h, color); p.rect(t.x + w - b, t.y, b, h, color);
+  if (!text) return;
+  const size = Math.max(9, Math.round(w / 7));
+  const bh = size + 6;
+  p.rect(t.x, t.y + h - bh, w, bh, color);
+  measure.font = `700 ${size}px ${TIER_RENDER.FONT}`;
+  p.text([ellipsize(measure, text, w - 4)], t.x + w / 2, t.y + h - bh / 2, { size, weight: 700, fill: '#111111', align: 'center' });
+}
+
+// Vertical offsets of centered multi-line text
+function lineOffsets(count, size) {
+  const lh = size * 1.15;
+  return Array.from({ length: count }, (_, i) => (i - (count - 1) / 2) * lh);
+}
+
+function tileInitials(name) {
+  return (String(name).match(/\b\p{L}/gu) || []).slice(0, 2).join('').toUpperCase() || '?';
+}
+
+// Source rectangle for object-fit: cover
+function coverCrop(img, w, h) {
+  const s = Math.max(w / img.naturalWidth, h / img.naturalHeight);
+  const sw = w / s; const sh = h / s;
+  return { sx: (img.naturalWidth - sw) / 2, sy: (img.naturalHeight - sh) / 2, sw, sh };
+}
+
+function roundRectPath(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function canvasPainter(ctx, images, theme) {
+  const painter = {
+    rect(x, y, w, h, fill) { ctx.fillStyle = fill; ctx.fillRect(x, y, w, h); },
+    text(lines, x, y, { size, weight, fill, align }) {
+      ctx.font = `${weight} ${size}px ${TIER_RENDER.FONT}`;
+      ctx.fillStyle = fill; ctx.textAlign = align; ctx.textBaseline = 'middle';
+      lineOffsets(lines.length, size).forEach((dy, i) => ctx.fillText(lines[i], x, y + dy));
+    },
+    tile(t, w, h) {
+      const img = images.get(t.item);
+      ctx.save();
+      roundRectPath(ctx, t.x, t.y, w, h, Math.max(2, w / 16));
+      ctx.clip();
+      if (img) {
+        const c = coverCrop(img, w, h);
+        ctx.drawImage(img, c.sx, c.sy, c.sw, c.sh, t.x, t.y, w, h);
+      } else {
+        ctx.fillStyle = theme.placeholder;
+        ctx.fillRect(t.x, t.y, w, h);
+        painter.text([tileInitials(t.item.name)], t.x + w / 2, t.y + h / 2, { size: Math.round(w / 3), weight: 700, fill: theme.text, align: 'center' });
+      }
+      ctx.restore();
+    },
+  };
+  return painter;
+}
+
+const escapeXml = (s) => String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+const svgNum = (v) => String(Math.round(v * 100) / 100);
+
+// Portrait cropped to its tile (2x for print sharpness) as a JPEG data URI; null if it can't be read
+function tileDataUrl(img, w, h) {
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(w * 2); canvas.height = Math.round(h * 2);
+    const c = coverCrop(img, w, h);
+    canvas.getContext('2d').drawImage(img, c.sx, c.sy, c.sw, c.sh, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.9);
+  } catch (e) {
+    return null;
+  }
+}
+
+function svgPainter(dataUrls, theme) {
+  const parts = [];
+  let clips = 0;
+  const painter = {
+    parts,
+    rect(x, y, w, h, fill) {
+      parts.push(`<rect x="${svgNum(x)}" y="${svgNum(y)}" width="${svgNum(w)}" height="${svgNum(h)}" fill="${escapeXml(fill)}"/>`);
+    },
+    text(lines, x, y, { size, weight, fill, align }) {
+      const anchor = { left: 'start', center: 'middle', right: 'end' }[align];
+      const spans = lineOffsets(lines.length, size)
+        .map((dy, i) => `<tspan x="${svgNum(x)}" y="${svgNum(y + dy)}">${escapeXml(lines[i])}</tspan>`).join('');
+      parts.push(`<text font-size="${size}" font-weight="${weight}" fill="${escapeXml(fill)}" text-anchor="${anchor}" dominant-baseline="central">${spans}</text>`);
+    },
+    tile(t, w, h) {
+      const r = svgNum(Math.max(2, w / 16));
+      const url = dataUrls.get(t.item);
+      const box = `x="${svgNum(t.x)}" y="${svgNum(t.y)}" width="${svgNum(w)}" height="${svgNum(h)}"`;
+      if (url) {
+        const id = `tile-clip-${++clips}`;
+        parts.push(`<clipPath id="${id}"><rect ${box} rx="${r}"/></clipPath>`);
+        parts.push(`<image ${box} clip-path="url(#${id})" preserveAspectRatio="xMidYMid slice" xlink:href="${url}"><title>${escapeXml(t.item.name)}</title></image>`);
+        return;
+      }
+      parts.push(`<rect ${box} rx="${r}" fill="${theme.placeholder}"><title>${escapeXml(t.item.name)}</title></rect>`);
+      painter.text([tileInitials(t.item.name)], t.x + w / 2, t.y + h / 2, { size: Math.round(w / 3), weight: 700, fill: theme.text, align: 'center' });
+    },
+  };
+  return painter;
+}
+
+// --- Entry points -----------------------------------------------------------------
+function prepareRender(model, rawOptions) {
+  const options = normalizeRenderOptions(rawOptions);
+  const theme = TIER_RENDER_THEMES[options.theme];
+  model = { title: '', layout: 'rows', notes: [], ...model };
+  if (!options.notes) model.notes = [];
+  const ratio = TIER_RENDER_ASPECTS[options.aspect] || null;
+  const targetH = ratio ? Math.round(options.width / ratio) : null;
+  const measure = document.createElement('canvas').getContext('2d');
+  const layout = chooseLayout(measure, model, options, targetH);
+  return { model, options, theme, targetH, measure, layout };
+}
+
+// Render the model to a canvas; with an aspect preset the content is centered (and shrunk if needed)
+async function renderTierCanvas(model, rawOptions = {}) {
+  const r = prepareRender(model, rawOptions);
+  const { options, theme, targetH, layout } = r;
+  const images = await loadTileImages(r.model);
+
+  const content = document.createElement('canvas');
+  content.width = options.width * options.scale;
+  content.height = Math.ceil(layout.height) * options.scale;
+  const ctx = content.getContext('2d');
+  ctx.scale(options.scale, options.scale);
+  if (!options.transparent) { ctx.fillStyle = theme.background; ctx.fillRect(0, 0, options.width, layout.height); }
+  paintTierList(canvasPainter(ctx, images, theme), r.measure, r.model, layout, theme, options);
+  if (!targetH) return content;
+
+  const out = document.createElement('canvas');
+  out.width = options.width * options.scale;
+  out.height = targetH * options.scale;
+  const octx = out.getContext('2d');
+  if (!options.transparent) { octx.fillStyle = theme.background; octx.fillRect(0, 0, out.width, out.height); }
+  const fit = Math.min(1, out.height / content.height);
+  const w = content.width * fit; const h = content.height * fit;
+  octx.drawImage(content, (out.width - w) / 2, (out.height - h) / 2, w, h);
+  return out;
+}
+
+// Same drawing as SVG markup: real text for labels and names, portraits embedded as data URIs
+async function renderTierSVG(model, rawOptions = {}) {
+  const r = prepareRender(model, rawOptions);
+  const { options, theme, targetH, layout } = r;
+  const images = await loadTileImages(r.model);
+  const tileH = Math.round(layout.tile * 1.25);
+  const dataUrls = new Map();
+  images.forEach((img, item) => dataUrls.set(item, img ? tileDataUrl(img, layout.tile, tileH) : null));
+  const painter = svgPainter(dataUrls, theme);
+  paintTierList(painter, r.measure, r.model, layout, theme, options);
+
+  const width = options.width;
+  const contentH = Math.ceil(layout.height);
+  const height = targetH || contentH;
+  let body = painter.parts.join('\n');
+  if (targetH) {
+    const fit = Math.min(1, targetH / contentH);
+    const dx = (width - width * fit) / 2; const dy = (targetH - contentH * fit) / 2;
+    body = `<g transform="translate(${svgNum(dx)} ${svgNum(dy)}) scale(${svgNum(fit)})">\n${body}\n</g>`;
+  }
+  const background = options.transparent ? '' : `<rect width="${width}" height="${height}" fill="${theme.background}"/>\n`;
+  const title = r.model.title ? `<title>${escapeXml(r.model.title)}</title>\n` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(TIER_RENDER.FONT)}">
+${title}${background}${body}
+</svg>
+`;
+}
+
+window.TIER_RENDER_DEFAULTS = TIER_RENDER_DEFAULTS;
+window.normalizeRenderOptions = normalizeRenderOptions;
+window.renderTierCanvas = renderTierCanvas;
+window.renderTierSVG = renderTierSVG;
@@ -0,0 +1,225 @@
+/*
+  Tier schema
+  - The tier board's tiers in display order, best first: [{ id, name, color }]
+  - ids are stable keys into state.tiers, so renaming or recoloring a tier keeps its items;
+    'Unplaced' is not part of the schema and always comes last
+  - Saves, exports and share links without a schema were made with the SS–F default
+  - The editor on the tier screen changes state.tierSchema; everything else reads it through these helpers
+*/
+
+const UNPLACED_TIER = 'Unplaced';
+const TIER_NAME_MAX = 40;
+const TIER_PALETTE = ['#ff7f7f', '#ffbf7f', '#ffdf7f', '#ffff7f', '#bfff7f', '#7fff7f', '#7fffff', '#7fbfff', '#bf7fff', '#ff7fdf'];
+const TIER_PRESETS = [
+  { id: 'ss-f', label: 'SS – F', names: ['SS', 'S', 'A', 'B', 'C', 'D', 'E', 'F'] },
+  { id: 's-f', label: 'S – F', names: ['S', 'A', 'B', 'C', 'D', 'F'] },
+  { id: 'great-meh', label: 'Great / Good / Meh / Bad', names: ['Great', 'Good', 'Meh', 'Bad'] },
+  { id: 'top-bottom', label: 'Top / Middle / Bottom', names: ['Top', 'Middle', 'Bottom'] },
+];
+
+// --- Schema -----------------------------------------------------------------
+// ids end up in element ids (#tier-<id>), so keep them to plain identifier characters
+const isTierId = (id) => typeof id === 'string' && /^[A-Za-z][A-Za-z0-9_-]*$/.test(id) && id !== UNPLACED_TIER;
+const isTierColor = (c) => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c);
+
+function newTierId(name, used) {
+  let id = isTierId(name) && !used.has(name) ? name : '';
+  for (let n = used.size + 1; !id || used.has(id); n++) id = `tier_${n}`;
+  return id;
+}
+
+function makeTierSchema(names) {
+  const used = new Set();
+  return names.map((name, i) => {
+    const id = newTierId(name, used);
+    used.add(id);
+    return { id, name, color: TIER_PALETTE[i % TIER_PALETTE.length] };
+  });
+}
+
+function defaultTierSchema() {
+  return makeTierSchema(TIER_PRESETS[0].names);
+}
+
+// Validate a saved/imported schema; anything unusable falls back to the default
+function normalizeTierSchema(raw) {
+  if (!Array.isArray(raw)) return defaultTierSchema();
+  const used = new Set();
+  const out = [];
+  raw.forEach(t => {
+    if (!t || !isTierId(t.id) || used.has(t.id)) return;
+    used.add(t.id);
+    const name = String(t.name ?? t.id).trim().slice(0, TIER_NAME_MAX) || t.id;
+    out.push({ id: t.id, name, color: isTierColor(t.color) ? t.color : TIER_PALETTE[out.length % TIER_PALETTE.length] });
+  });
+  return out.length ? out : defaultTierSchema();
+}
+
+function tierIds(schema = state.tierSchema) {
+  return schema.map(t => t.id).concat(UNPLACED_TIER);
+}
+
+function tierLabel(id, schema = state.tierSchema) {
+  return schema.find(t => t.id === id)?.name || id;
+}
+
+function tierColor(id, schema = state.tierSchema) {
+  return schema.find(t => t.id === id)?.color || null;
+}
+
+// "SS–F" style summary for intro text
+function tierRangeLabel(schema = state.tierSchema) {
+  return schema.length > 1 ? `${schema[0].name}–${schema[schema.length - 1].name}` : schema[0].name;
+}
+
+function emptyTiers(schema = state.tierSchema) {
+  return Object.fromEntries(tierIds(schema).map(id => [id, []]));
+}
+
+// Tier in `schema` for a placement made with another schema: same name (any case), else the same relative
+// position (index of count, top to bottom); used by the consensus board and the tier diff
+function matchTierIndex(name, index, count, schema = state.tierSchema) {
+  const byName = schema.findIndex(t => t.name.toLowerCase() === String(name).toLowerCase());
+  if (byName >= 0) return byName;
+  return count > 1 ? Math.round((index / (count - 1)) * (schema.length - 1)) : 0;
+}
+
+// Fit tier contents to a schema: items of tiers that no longer exist move to the end of Unplaced
+function reconcileTiers(tiers, schema = state.tierSchema) {
+  const out = emptyTiers(schema);
+  const seen = new Set();
+  const keys = tierIds(schema).concat(Object.keys(tiers || {}));
+  keys.forEach(key => {
+    const list = tiers && tiers[key];
+    if (!Array.isArray(list)) return;
+    const target = out[key] ? key : UNPLACED_TIER;
+    list.forEach(id => {
+      if (typeof id !== 'string' || seen.has(id)) return;
+      seen.add(id);
+      out[target].push(id);
+    });
+  });
+  return out;
+}
+
+// --- Editor -----------------------------------------------------------------
+function setTierSchema(schema) {
+  const before = tierSnapshot();
+  state.tierSchema = normalizeTierSchema(schema);
+  state.tiers = reconcileTiers(state.tiers, state.tierSchema);
+  pushTierHistory(before);
+  saveState();
+  buildTierBoard();
+}
+
+function removeTier(id) {
+  const count = (state.tiers[id] || []).length;
+  if (state.tierSchema.length <= 1) { toast('Keep at least one tier', { error: true }); return; }
+  if (count && !confirm(`Remove tier "${tierLabel(id)}"? Its ${count} item(s) move to Unplaced.`)) return;
+  setTierSchema(state.tierSchema.filter(t => t.id !== id));
+}
+
+function moveTier(id, delta) {
+  const schema = state.tierSchema.slice();
+  const i = schema.findIndex(t => t.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= schema.length) return;
+  [schema[i], schema[j]] = [schema[j], schema[i]];
+  setTierSchema(schema);
+}
+
+function updateTier(id, patch) {
+  setTierSchema(state.tierSchema.map(t => (t.id === id ? { ...t, ...patch } : t)));
+}
+
+function addTier(name) {
+  name = String(name || '').trim().slice(0, TIER_NAME_MAX);
+  if (!name) { toast('Enter a tier name first', { error: true }); return false; }
+  const used = new Set(state.tierSchema.map(t => t.id));
+  const color = TIER_PALETTE[state.tierSchema.length % TIER_PALETTE.length];
+  setTierSchema(state.tierSchema.concat({ id: newTierId(name, used), name, color }));
+  return true;
+}
+
+function applyTierPreset(preset) {
+  const schema = makeTierSchema(preset.names);
+  const keep = new Set(schema.map(t => t.id));
+  const dropped = state.tierSchema.filter(t => !keep.has(t.id) && (state.tiers[t.id] || []).length);
+  if (dropped.length && !confirm(`Switch to "${preset.label}"? Items in ${dropped.map(t => t.name).join(', ')} move to Unplaced.`)) return;
+  setTierSchema(schema);
+  toast(`Tiers set to ${preset.label}`, { ok: true });
+}
+
+function makeTierEditorRow(tier, i, total) {
+  const row = document.createElement('li');
+  row.className = 'tier-management-item';
+  const color = document.createElement('input');
+  color.type = 'color'; color.value = tier.color; color.className = 'tier-color';
+  color.setAttribute('aria-label', `Color of tier ${tier.name}`);
+  color.onchange = () => updateTier(tier.id, { color: color.value });
+  const name = document.createElement('input');
+  name.type = 'text'; name.value = tier.name; name.maxLength = TIER_NAME_MAX; name.className = 'input tier-name';
+  name.setAttribute('aria-label', `Name of tier ${tier.name}`);
+  name.onchange = () => {
+    const next = name.value.trim();
+    if (next) updateTier(tier.id, { name: next }); else name.value = tier.name;
+  };
+  const count = document.createElement('span');
+  count.className = 'tier-count';
+  count.textContent = `${(state.tiers[tier.id] || []).length} items`;
+  const actions = document.createElement('span');
+  actions.className = 'tier-actions';
+  const button = (label, title, onclick, disabled = false) => {
+    const b = document.createElement('button');
+    b.type = 'button'; b.className = 'btn btn-small'; b.textContent = label;
+    b.title = title; b.setAttribute('aria-label', title);
+    b.disabled = disabled; b.onclick = onclick;
+    return b;
+  };
+  actions.append(
+    button('↑', `Move ${tier.name} up`, () => moveTier(tier.id, -1), i === 0),
+    button('↓', `Move ${tier.name} down`, () => moveTier(tier.id, 1), i === total - 1),
+    button('✕', `Remove ${tier.name}`, () => removeTier(tier.id), total <= 1),
+  );
+  row.append(color, name, count, actions);
+  return row;
+}
+
+function renderTierEditor() {
+  const list = $('#tier-editor-list');
+  if (!list) return;
+  list.innerHTML = '';
+  state.tierSchema.forEach((tier, i) => list.appendChild(makeTierEditorRow(tier, i, state.tierSchema.length)));
+}
+
+function initTierEditor() {
+  const toggle = $('#btn-edit-tiers');
+  const panel = $('#tier-editor');
+  if (!toggle || !panel) return;
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+    if (open) renderTierEditor();
+  };
+  toggle.onclick = () => setOpen(panel.hidden);
+  $('#btn-tier-editor-done').onclick = () => setOpen(false);
+  const nameInput = $('#tier-add-name');
+  const add = () => { if (addTier(nameInput.value)) nameInput.value = ''; };
+  $('#btn-tier-add').onclick = add;
+  nameInput.onkeydown = (e) => { if (e.key === 'Enter') { e.preventDefault(); add(); } };
+  const presets = $('#tier-preset-buttons');
+  presets.innerHTML = '';
+  TIER_PRESETS.forEach(preset => {
+    const b = document.createElement('button');
+    b.type = 'button'; b.className = 'btn btn-small'; b.textContent = preset.label;
+    b.onclick = () => applyTierPreset(preset);
+    presets.appendChild(b);
+  });
+}
+
+window.UNPLACED_TIER = UNPLACED_TIER;
+window.defaultTierSchema = defaultTierSchema;
+window.normalizeTierSchema = normalizeTierSchema;
+window.reconcileTiers = reconcileTiers;
+window.matchTierIndex = matchTierIndex;
+window.initTierEditor = initTierEditor;